@@ -1,12 +1,15 @@
 import { Repl } from '@m-ld/m-ld-cli/lib/Repl.js';
 import { ResultsProc } from './ResultsProc.mjs';
 import { PromiseProc } from './PromiseProc.mjs';
-import { ENTRY_FORMAT_OPTIONS, getSubjectFormat, TableFormat } from './DisplayFormat.mjs';
+import {
+  checkFormatOptions, ENTRY_FORMAT_OPTIONS, getSubjectFormat, MITE_ACCOUNT_OPTIONS,
+  ROUND_OPTIONS, SKIP_RUNNING_OPTIONS, TableFormat
+} from './DisplayFormat.mjs';
 import isEmail from 'validator/lib/isEmail.js';
-import { AccountOwnedId, dateJsonLd } from 'timeld-common';
+import { AccountOwnedId, dateJsonLd, Rounding, toTimeZone } from 'timeld-common';
 import { EMPTY } from 'rxjs';
 import { any } from '@m-ld/m-ld';
-import { durationFromInterval, parseDate, parseDuration } from './util.mjs';
+import { durationFromInterval, parseDate, parseDuration, toRate } from './util.mjs';
 import { SyncProc } from '@m-ld/m-ld-cli/lib/Proc.js';
 import { Readable } from 'stream';
 
@@ -23,12 +26,17 @@ export default class AdminSession extends Repl {
    * @param {GatewayClient} gateway
    * @param {string} account
    * @param {string|number} [logLevel]
+   * @param {string} [round] default rounding for reports, e.g. "15m up"
+   * @param {string} [timeZone] IANA time zone for dates and reports; the local
+   * time zone if not specified
    */
-  constructor({ gateway, account, logLevel }) {
+  constructor({ gateway, account, logLevel, round, timeZone }) {
     // The only user account we are an admin of, is our own
     super({ prompt: `${account}>`, logLevel });
     this.gateway = gateway;
     this.account = account;
+    this.rounding = Rounding.parse(round);
+    this.timeZone = toTimeZone(timeZone);
     this.isUserAccount = account === gateway.user;
     // TODO: Warn if the user is not an admin of the account
   }
@@ -99,12 +107,12 @@ export default class AdminSession extends Repl {
           .option('start', {
             describe: 'The project start date/time',
             type: 'array',
-            coerce: parseDate
+            coerce: dateStr => parseDate(dateStr, this.timeZone)
           })
           .option('end', {
             describe: 'The project end date & time',
             type: 'array',
-            coerce: parseDate
+            coerce: dateStr => parseDate(dateStr, this.timeZone)
           })
           .option('duration', {
             describe: 'The project duration, e.g. 1w',
@@ -114,6 +122,11 @@ export default class AdminSession extends Repl {
           .option('milestone', {
             describe: 'Project milestones',
             type: 'array'
+          })
+          .option('rate', {
+            describe: 'The default hourly rate for project entries',
+            type: 'number',
+            coerce: toRate
           }),
         argv => ctx.exec(() =>
           this.getDetailHandler(argv).add())
@@ -141,7 +154,11 @@ export default class AdminSession extends Repl {
         'report <id>',
         'Report on the time entries in a timesheet or project',
         yargs => yargs
-          .option('format', ENTRY_FORMAT_OPTIONS),
+          .option('format', ENTRY_FORMAT_OPTIONS)
+          .option('skip-running', SKIP_RUNNING_OPTIONS)
+          .option('mite-account', MITE_ACCOUNT_OPTIONS)
+          .option('round', ROUND_OPTIONS)
+          .check(checkFormatOptions),
         argv => ctx.exec(
           () => this.reportEntriesProc(argv))
       );
@@ -184,13 +201,18 @@ export default class AdminSession extends Repl {
   /**
    * @param {EntryFormatName} format
    * @param {string} id timesheet or project to report on
+   * @param {boolean} [skipRunning]
+   * @param {string} [miteAccount]
+   * @param {Rounding} [round] overrides the default rounding
    * @returns {Proc}
    */
-  reportEntriesProc({ id, format }) {
+  reportEntriesProc({ id, format, skipRunning, miteAccount, ...argv }) {
     const ownedId = this.resolveId(id);
+    const rounding = 'round' in argv ? argv.round : this.rounding;
     return new ResultsProc(
       this.gateway.report(ownedId.account, ownedId.name),
-      getSubjectFormat(format));
+      getSubjectFormat(format, undefined,
+        { skipRunning, miteAccount, rounding, timeZone: this.timeZone }));
   }
 
   resolveId(owned) {
@@ -305,13 +327,14 @@ export default class AdminSession extends Repl {
    * @param {Date} [end]
    * @param {number} [duration]
    * @param {string[]} [milestone]
+   * @param {number} [rate]
    * @param {'Timesheet'|'Project'} type
    * @returns {AccountDetail}
    */
   ownedDetail({
     value: owned,
     start, end, duration,
-    milestone
+    milestone, rate
   }, type) {
     return new class extends AccountDetail {
       list() {
@@ -336,6 +359,8 @@ export default class AdminSession extends Repl {
               throw 'Please specify a start date';
             }
             subject.milestone = milestone?.map(m => `${m}`);
+            if (rate != null)
+              subject.rate = rate;
           }
         });
       }
@@ -7,6 +7,7 @@ import TimesheetSession from './TimesheetSession.mjs';
 import readline from 'readline';
 import { promisify } from 'util';
 import AdminSession from './AdminSession.mjs';
+import { quote } from 'shell-quote';
 
 export default class Cli {
   /**
@@ -15,21 +16,72 @@ export default class Cli {
    * @param input
    * @param output
    * @param console
+   * @param {(code: number) => void} [exit] called with the exit status of a
+   * one-shot command
    */
   constructor(env, {
     args = undefined,
     input = process.stdin,
     output = process.stdout,
-    console = global.console
+    console = global.console,
+    exit = code => process.exit(code)
   } = {}) {
     this.args = args;
     this.env = env;
     this.input = input;
     this.output = output;
     this.console = console;
+    this.exit = exit;
   }
 
   async start() {
+    const timesheetOptions = yargs => yargs
+      .positional('timesheet', {
+        describe: 'Timesheet identity, can include ' +
+          'account as `account/timesheet`',
+        type: 'string'
+      })
+      .positional('command', {
+        describe: 'A timesheet session command to run, instead of ' +
+          'opening a session. Put command options after --',
+        type: 'string',
+        array: true
+      })
+      .middleware(argv => {
+        // Interpret a timesheet with account and/or gateway
+        const { name, account, gateway } =
+          AccountOwnedId.fromString(argv.timesheet);
+        if (gateway != null)
+          argv.gateway = gateway;
+        if (account != null)
+          argv.account = account;
+        argv.timesheet = name;
+        // If a user is provided but no account, use the user account
+        if (argv.gateway != null && argv.account == null)
+          argv.account = argv.user;
+      }, true)
+      .middleware(argv => {
+        // Arguments after -- are not parsed, and belong to the command. This
+        // must follow validation, which populates the positional command.
+        argv.command = [...argv.command ?? [], ...argv._.slice(1).map(String)];
+      })
+      .option('create', {
+        type: 'boolean', describe: 'Force creation of new timesheet'
+      })
+      .option('timeout', {
+        type: 'number',
+        default: 10,
+        describe: 'For a command, seconds to wait for the timesheet to ' +
+          'synchronise before and after running it'
+      })
+      // Timesheet account must exist; user account checked in domain config
+      .demandOption('account')
+      .demandOption('user')
+      .check(argv => {
+        const { timesheet, account, gateway } = argv;
+        new AccountOwnedId({ name: timesheet, account, gateway }).validate();
+        return true;
+      });
     return (await this.env.yargs(this.args))
       .option('account', {
         alias: 'acc',
@@ -46,6 +98,26 @@ export default class Cli {
         type: 'string',
         describe: 'The user account, as a URL or a name'
       })
+      .option('working-hours', {
+        type: 'string',
+        describe: 'Working days and hours, for finding gaps in timesheets, ' +
+          'e.g. "Mon-Fri 09:00-17:30"'
+      })
+      .option('round', {
+        type: 'string',
+        describe: 'Default rounding of durations in reports and summaries, ' +
+          'e.g. "15m", "6m up" or "15m nearest per day"'
+      })
+      .option('remind', {
+        type: 'string',
+        describe: 'When to remind about a running timer, e.g. "4h" (the ' +
+          'default), "end" for the end of working hours, or "none"'
+      })
+      .option('tz', {
+        type: 'string',
+        describe: 'Time zone for entries, days and displayed times, ' +
+          'e.g. "Europe/London"; defaults to the local time zone'
+      })
       .command(
         ['config', 'cfg'],
         'Inspect or set local configuration',
@@ -67,38 +139,17 @@ export default class Cli {
         argv => this.removeCmd(argv)
       )
       .command(
-        ['open <timesheet>', 'o'],
-        'Open a timesheet session',
-        yargs => yargs
-          .positional('timesheet', {
-            describe: 'Timesheet identity, can include ' +
-              'account as `account/timesheet`',
-            type: 'string'
-          })
-          .middleware(argv => {
-            // Interpret a timesheet with account and/or gateway
-            const { name, account, gateway } =
-              AccountOwnedId.fromString(argv.timesheet);
-            if (gateway != null)
-              argv.gateway = gateway;
-            if (account != null)
-              argv.account = account;
-            argv.timesheet = name;
-            // If a user is provided but no account, use the user account
-            if (argv.gateway != null && argv.account == null)
-              argv.account = argv.user;
-          }, true)
-          .option('create', {
-            type: 'boolean', describe: 'Force creation of new timesheet'
-          })
-          // Timesheet account must exist; user account checked in domain config
-          .demandOption('account')
-          .demandOption('user')
-          .check(argv => {
-            const { timesheet, account, gateway } = argv;
-            new AccountOwnedId({ name: timesheet, account, gateway }).validate();
-            return true;
-          }),
+        ['open <timesheet> [command..]', 'o'],
+        'Open a timesheet session, or run one command in it',
+        timesheetOptions,
+        argv => this.openCmd(argv)
+      )
+      .command(
+        'exec <timesheet> [command..]',
+        'Run one timesheet session command, e.g. for scripting',
+        yargs => timesheetOptions(yargs)
+          .check(argv => argv.command.length > 0 || argv._.length > 1 ||
+            'Please specify a command to run'),
         argv => this.openCmd(argv)
       )
       .command(
@@ -127,12 +178,15 @@ export default class Cli {
    */
   async openCmd(argv) {
     const gateway = argv.gateway ? await this.openGatewayClient(argv) : null;
-    const { config, principal } = await new DomainConfigurator(argv, gateway).load();
+    const { config, principal, gateway: fromGateway } =
+      await new DomainConfigurator(argv, gateway).load();
     try {
       // Start the m-ld clone
       const { meld, logFile } = await this.createMeldClone(config, principal);
-      return this.createSession(config, principal, meld, logFile)
-        .start({ console: this.console });
+      const session = this.createSession(config, principal, meld, logFile);
+      if (argv.command?.length)
+        return this.execCmd(session, { ...argv, sync: fromGateway });
+      session.start({ console: this.console });
     } catch (e) {
       if (e.status === 5031) {
         this.console.info('This timesheet does not exist.');
@@ -142,10 +196,30 @@ export default class Cli {
     }
   }
 
+  /**
+   * Runs a single command in the session, then closes it and exits
+   * @param {TimesheetSession} session
+   * @param {string[]} command a whole command line, or its separate arguments
+   * @param {number} timeout seconds
+   * @param {boolean} sync whether to synchronise with the gateway
+   * @returns {Promise<void>}
+   */
+  async execCmd(session, { command, timeout, sync }) {
+    const line = command.length === 1 ? command[0] : quote(command);
+    let status;
+    try {
+      status = await session.executeOnce(line,
+        { console: this.console, timeout: timeout * 1000, sync });
+    } finally {
+      await session.close();
+    }
+    this.exit(status);
+  }
+
   async adminCmd(argv) {
     const gateway = await this.openGatewayClient(argv);
-    const { account, logLevel } = argv;
-    new AdminSession({ gateway, account, logLevel })
+    const { account, logLevel, round, tz } = argv;
+    new AdminSession({ gateway, account, logLevel, round, timeZone: tz })
       .start({ console: this.console });
   }
 
@@ -187,10 +261,15 @@ export default class Cli {
     return new TimesheetSession({
       id: config['@id'],
       timesheet: config.timesheet,
+      domain: config['@domain'],
       providerId: principal['@id'],
       meld,
       logFile,
-      logLevel: config.logLevel
+      logLevel: config.logLevel,
+      workingHours: config.workingHours,
+      round: config.round,
+      remind: config.remind,
+      timeZone: config.tz
     });
   }
 
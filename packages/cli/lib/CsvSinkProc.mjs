@@ -0,0 +1,48 @@
+import { Proc } from '@m-ld/m-ld-cli/lib/Proc.js';
+import { pipeline, Readable, Transform } from 'stream';
+import parse from 'csv-parse';
+
+/**
+ * A process which reads delimited rows with a header, and writes each row to
+ * a sink as an object, keyed by column header. Empty values are omitted.
+ *
+ * @typedef {import('./util.mjs').ImportColumn} ImportColumn
+ */
+export class CsvSinkProc extends Proc {
+  /**
+   * @param {import('stream').Writable} sink
+   * @param {{ [header: string]: ImportColumn }} columns maps column headers to
+   * object keys, with any unit to append to plain numbers; other columns are
+   * keyed by their header
+   * @param {import('stream').Readable} stdin
+   * @param {string} [csv] literal data (overrides stdin)
+   * @param {string} [delimiter] e.g. ',' for CSV
+   */
+  constructor(sink, columns, stdin, csv, delimiter = ',') {
+    super();
+    /** Units by object key */
+    const units = {};
+    pipeline(
+      csv ? Readable.from([csv]) : stdin,
+      parse({
+        columns: headers => headers.map(header => {
+          const column = columns[header];
+          if (column?.unit != null)
+            units[column.property] = column.unit;
+          return column?.property ?? header;
+        }),
+        delimiter,
+        skip_empty_lines: true,
+        trim: true
+      }),
+      new Transform({
+        objectMode: true,
+        transform: (row, encoding, callback) => callback(null, Object.fromEntries(
+          Object.entries(row).filter(([, value]) => value !== '').map(([key, value]) =>
+            // noinspection JSCheckFunctionSignatures isNaN does accept strings
+            [key, key in units && !isNaN(value) ? `${value}${units[key]}` : value])))
+      }),
+      sink,
+      err => this.setDone(err));
+  }
+}
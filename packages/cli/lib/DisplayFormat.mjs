@@ -1,20 +1,51 @@
-import { Entry } from 'timeld-common';
+import { Entry, Rounding } from 'timeld-common';
 import stringify from 'json-stringify-pretty-compact';
-import { formatDate, formatDuration, formatTimeAgo } from './util.mjs';
+import {
+  formatDate, formatDuration, formatProject, formatRevenue, formatTimeAgo
+} from './util.mjs';
 import { propertyValue } from '@m-ld/m-ld';
+import MiteFormat from 'timeld-mite';
 
 /**
  * @typedef {import('@m-ld/m-ld').Subject} Subject
- * @typedef {'default'|'JSON-LD'|'json-ld'|'ld'} EntryFormatName
+ * @typedef {'default'|'JSON-LD'|'json-ld'|'ld'|'csv'|'tsv'|'ics'|'mite'} EntryFormatName
  * @typedef {(entry: Entry) => string | Subject | Promise<Subject>} GetSession
  */
 
 export const ENTRY_FORMAT_OPTIONS = {
   describe: 'Timesheet format to use',
-  choices: /**@type {EntryFormatName[]}*/['default', 'JSON-LD', 'json-ld', 'ld'],
+  choices: /**@type {EntryFormatName[]}*/['default', 'JSON-LD', 'json-ld', 'ld', 'csv', 'tsv', 'ics', 'mite'],
   default: 'default'
 };
 
+export const SKIP_RUNNING_OPTIONS = {
+  describe: 'For calendar formats, omit entries with no duration ' +
+    '(otherwise shown as zero-length events)',
+  type: 'boolean'
+};
+
+export const ROUND_OPTIONS = {
+  describe: 'Round durations for display, e.g. "15m", "6m up" or ' +
+    '"15m nearest per day"; or "none"',
+  type: 'string',
+  coerce: Rounding.parse
+};
+
+export const MITE_ACCOUNT_OPTIONS = {
+  describe: 'For the mite format, the mite account name',
+  type: 'string'
+};
+
+/**
+ * @param {{ format: EntryFormatName, miteAccount?: string }} argv
+ * @returns {string | true} a message if the format options are invalid
+ */
+export function checkFormatOptions({ format, miteAccount }) {
+  if (format === 'mite' && !miteAccount)
+    return 'Please specify the --mite-account to export to';
+  return true;
+}
+
 /** @type {Format} */
 export const JSON_LD_GRAPH = {
   opening: '{ "@graph": [', closing: '] }',
@@ -25,14 +56,37 @@ export const JSON_LD_GRAPH = {
 /**
  * @param {EntryFormatName} format
  * @param {GetSession} [getSession]
+ * @param {boolean} [skipRunning] omit entries with no duration from calendars
+ * @param {string} [miteAccount] mite account name, for the mite format
+ * @param {Rounding} [rounding] rounding of displayed durations
+ * @param {string} [timeZone] time zone for displayed dates and days
+ * @param {Map<string, number | undefined>} [projectRates] default hourly rates
+ * of the timesheet's projects, for revenue
+ * @param {Map<string, string>} [projectExternals] external identities of the
+ * timesheet's projects, for the mite format
  * @returns {Format}
  */
-export function getSubjectFormat(format, getSession) {
-  return {
-    'JSON-LD': JSON_LD_GRAPH,
-    'json-ld': JSON_LD_GRAPH,
-    ld: JSON_LD_GRAPH
-  }[format] || new DefaultFormat(getSession);
+export function getSubjectFormat(
+  format,
+  getSession,
+  { skipRunning, miteAccount, rounding, timeZone, projectRates, projectExternals } = {}
+) {
+  switch (format) {
+    case 'JSON-LD':
+    case 'json-ld':
+    case 'ld':
+      return JSON_LD_GRAPH;
+    case 'csv':
+      return new SeparatedValuesFormat(',', rounding, timeZone, projectRates);
+    case 'tsv':
+      return new SeparatedValuesFormat('\t', rounding, timeZone, projectRates);
+    case 'ics':
+      return new ICalendarFormat(skipRunning);
+    case 'mite':
+      return new MiteFormat({ account_name: miteAccount, timeZone, projects: projectExternals });
+    default:
+      return new DefaultFormat(getSession, rounding, timeZone, projectRates);
+  }
 }
 
 /**
@@ -55,10 +109,24 @@ class DisplayFormat {
 export class DefaultFormat extends DisplayFormat {
   /**
    * @param {GetSession} [getSession]
+   * @param {Rounding} [rounding] rounding of displayed durations
+   * @param {string} [timeZone] time zone for displayed dates and days
+   * @param {Map<string, number | undefined>} [projectRates] default hourly
+   * rates of the timesheet's projects, for the revenue total
    */
-  constructor(getSession) {
+  constructor(getSession, rounding, timeZone, projectRates = new Map) {
     super();
     this.getSession = getSession;
+    this.rounding = rounding;
+    this.timeZone = timeZone;
+    this.projectRates = projectRates;
+    this.roundedTotal = rounding?.newTotal(timeZone);
+    /**
+     * Total of the entries described so far, for output without its own
+     * `Total` subject
+     * @type {{ '@type': 'Total', duration: number, revenue?: number }}
+     */
+    this.total = { '@type': 'Total', duration: 0 };
   }
 
   /**
@@ -70,6 +138,8 @@ export class DefaultFormat extends DisplayFormat {
       switch (src['@type']) {
         case 'Entry':
           return await this.entryDescription(Entry.fromJSON(src));
+        case 'Total':
+          return DefaultFormat.totalLabel(src, this.rounding, this.roundedTotal?.value);
         default:
           return `${src['@type']} ${src['@id']}`;
       }
@@ -81,16 +151,41 @@ export class DefaultFormat extends DisplayFormat {
   async entryDescription(entry) {
     const sessionLabel = await this.sessionLabel(entry);
     const qualifier = sessionLabel ? ` (in ${sessionLabel})` : '';
-    return `Entry ${(DefaultFormat.entryLabel(entry))}${qualifier}`;
+    const note = entry.note ? ` - ${entry.note}` : '';
+    this.roundedTotal?.add(entry.start, entry.duration);
+    this.total.duration += entry.duration ?? 0;
+    const revenue = entry.projectRevenue(this.projectRates);
+    if (revenue != null)
+      this.total.revenue = (this.total.revenue ?? 0) + revenue;
+    const label = DefaultFormat.entryLabel(entry, this);
+    return `Entry ${label}${qualifier}${note}`;
   }
 
   /**
    * @param {Entry} entry
+   * @param {Rounding} [rounding] rounding of the displayed duration, if per entry
+   * @param {string} [timeZone] time zone for the displayed start
+   * @returns {string}
+   */
+  static entryLabel(entry, { rounding, timeZone } = {}) {
+    const tags = entry.tags.map(tag => ` #${tag}`).join('');
+    return `#${entry.seqNo}: ${entry.activity}${tags} ` +
+      `(${formatDate(entry.start, timeZone)}` +
+      (entry.duration != null ? `, ${roundedDuration(entry.duration, rounding)}` : '') +
+      (entry.projectId != null ? `, project ${formatProject(entry.projectId)}` : '') +
+      (entry.billable === false ? ', not billable' : '') + `)`;
+  }
+
+  /**
+   * @param {{ duration: number, revenue?: number }} total report total
+   * @param {Rounding} [rounding] rounding applied to the rounded total
+   * @param {number} [rounded] rounded total duration
    * @returns {string}
    */
-  static entryLabel(entry) {
-    return `#${entry.seqNo}: ${entry.activity} (${formatDate(entry.start)}` +
-      (entry.duration != null ? `, ${formatDuration(entry.duration)}` : '') + `)`;
+  static totalLabel(total, rounding, rounded) {
+    return `Total ${formatDuration(total.duration)}` +
+      (rounding != null ? ` (${formatDuration(rounded)} ${rounding.description})` : '') +
+      (total.revenue != null ? `, revenue ${formatRevenue(total.revenue)}` : '');
   }
 
   async sessionLabel(entry) {
@@ -106,6 +201,181 @@ export class DefaultFormat extends DisplayFormat {
   }
 }
 
+/**
+ * Spreadsheet-friendly entry output, with a header row. Subjects other than
+ * entries and report totals are omitted. A malformed entry is marked in the
+ * activity column.
+ */
+export class SeparatedValuesFormat extends DisplayFormat {
+  static COLUMNS = [
+    'id', 'activity', 'project', 'note', 'provider', 'start', 'end', 'duration (minutes)',
+    'billable', 'rate', 'revenue', 'external id'
+  ];
+
+  /**
+   * @param {string} delimiter e.g. ',' for CSV
+   * @param {Rounding} [rounding] rounding for an additional column of
+   * durations; for entries only if rounding per entry
+   * @param {string} [timeZone] time zone for days, if rounding per day
+   * @param {Map<string, number | undefined>} [projectRates] default hourly
+   * rates of the timesheet's projects, for entry revenue
+   */
+  constructor(delimiter, rounding, timeZone, projectRates = new Map) {
+    super();
+    this.delimiter = delimiter;
+    this.rounding = rounding;
+    this.projectRates = projectRates;
+    this.roundedTotal = rounding?.newTotal(timeZone);
+    this.columns = SeparatedValuesFormat.COLUMNS.slice();
+    if (rounding != null)
+      this.columns.splice(this.columns.indexOf('duration (minutes)') + 1, 0,
+        'rounded duration (minutes)');
+    this.opening = this.row(this.columns) + this.separator;
+  }
+
+  /**
+   * @param {import('@m-ld/m-ld').GraphSubject} src
+   * @returns {string | null}
+   */
+  stringify(src) {
+    switch (src['@type']) {
+      case 'Entry':
+        let entry;
+        try {
+          entry = Entry.fromJSON(src);
+        } catch (e) {
+          const malformed = { 'id': src['@id'], 'activity': `*** Malformed Entry: ${e} ***` };
+          return this.row(this.columns.map(column => malformed[column]));
+        }
+        this.roundedTotal?.add(entry.start, entry.duration);
+        return this.row(this.columns.map(column => ({
+          'id': src['@id'],
+          'activity': entry.activity,
+          'project': entry.projectId != null ? formatProject(entry.projectId) : undefined,
+          'note': entry.note,
+          'provider': entry.providerId,
+          'start': entry.start.toISOString(),
+          'end': entry.end?.toISOString(),
+          'duration (minutes)': entry.duration,
+          'rounded duration (minutes)': entry.duration != null &&
+          this.rounding?.per === 'entry' ? this.rounding.round(entry.duration) : undefined,
+          'billable': entry.billable !== false,
+          'rate': entry.rate,
+          // A gateway report includes revenue using a project default rate
+          'revenue': optionalRevenue(src.revenue ?? entry.projectRevenue(this.projectRates)),
+          'external id': entry.externalId
+        })[column]));
+      case 'Total':
+        const total = {
+          'id': 'Total', 'duration (minutes)': src.duration,
+          'rounded duration (minutes)': this.roundedTotal?.value,
+          'revenue': optionalRevenue(src.revenue)
+        };
+        return this.row(this.columns.map(column => total[column]));
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * @param {*[]} values
+   * @returns {string} delimited values, quoted where necessary
+   */
+  row(values) {
+    return values.map(value => {
+      const str = value == null ? '' : `${value}`;
+      return str.includes(this.delimiter) || /["\r\n]/.test(str) ?
+        `"${str.replace(/"/g, '""')}"` : str;
+    }).join(this.delimiter);
+  }
+}
+
+/**
+ * iCalendar output, with one event per entry. Subjects other than entries, and
+ * malformed entries, which cannot be events, are omitted.
+ * @see https://datatracker.ietf.org/doc/html/rfc5545
+ */
+export class ICalendarFormat extends DisplayFormat {
+  opening = 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\nPRODID:-//m-ld//timeld//EN\r\n';
+  closing = 'END:VCALENDAR\r\n';
+  separator = ''; // Every content line ends with CRLF
+
+  /**
+   * @param {boolean} [skipRunning] omit entries with no duration, instead of
+   * including them as zero-length events
+   */
+  constructor(skipRunning) {
+    super();
+    this.skipRunning = !!skipRunning;
+  }
+
+  /**
+   * @param {import('@m-ld/m-ld').GraphSubject} src
+   * @returns {string | null}
+   */
+  stringify(src) {
+    if (src['@type'] !== 'Entry')
+      return null;
+    let entry;
+    try {
+      entry = Entry.fromJSON(src);
+    } catch (e) {
+      return null;
+    }
+    if (entry.duration == null && this.skipRunning)
+      return null;
+    return [
+      'BEGIN:VEVENT',
+      `UID:${src['@id']}`,
+      `DTSTAMP:${ICalendarFormat.dateTime(new Date)}`,
+      `DTSTART:${ICalendarFormat.dateTime(entry.start)}`,
+      `DTEND:${ICalendarFormat.dateTime(entry.end ?? entry.start)}`,
+      `SUMMARY:${ICalendarFormat.text(entry.activity)}`,
+      ...entry.note ? [`DESCRIPTION:${ICalendarFormat.text(entry.note)}`] : [],
+      'END:VEVENT'
+    ].map(ICalendarFormat.fold).join('');
+  }
+
+  /**
+   * @param {Date} date
+   * @returns {string} UTC date-time e.g. 20220506T102422Z
+   */
+  static dateTime(date) {
+    return date.toISOString().replace(/[-:]|\.\d+/g, '');
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string} text with iCalendar escapes
+   */
+  static text(text) {
+    return text.replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * @param {string} line content line
+   * @returns {string} content line folded to 75 octets of UTF-8, without
+   * splitting any character, with CRLF
+   */
+  static fold(line) {
+    const parts = [];
+    let part = '', octets = 0;
+    for (let char of line) { // Iterates code points
+      const charOctets = Buffer.byteLength(char);
+      // Continuation lines start with a space, which counts towards the limit
+      if (octets + charOctets > (parts.length > 0 ? 74 : 75)) {
+        parts.push(part);
+        part = '';
+        octets = 0;
+      }
+      part += char;
+      octets += charOctets;
+    }
+    parts.push(part);
+    return parts.map((part, i) => i > 0 ? ` ${part}` : part).join('\r\n') + '\r\n';
+  }
+}
+
 export class TableFormat extends DisplayFormat {
   /**
    * @param {string} keys keys to pick out from the source
@@ -135,3 +405,26 @@ export class TableFormat extends DisplayFormat {
     }).join('\t');
   }
 }
+
+/**
+ * @param {number} duration in minutes
+ * @param {Rounding} [rounding]
+ * @returns {string} the duration, rounded and labelled if rounding per entry
+ */
+function roundedDuration(duration, rounding) {
+  if (rounding?.per === 'entry') {
+    const rounded = rounding.round(duration);
+    if (rounded !== duration)
+      return `${formatDuration(rounded)} ${rounding.description} ` +
+        `from ${formatDuration(duration)}`;
+  }
+  return formatDuration(duration);
+}
+
+/**
+ * @param {number} [revenue]
+ * @returns {string | undefined}
+ */
+function optionalRevenue(revenue) {
+  return revenue != null ? formatRevenue(revenue) : undefined;
+}
@@ -23,10 +23,11 @@ export default class DomainConfigurator {
   }
 
   /**
-   * @returns {Promise<{ config: TimeldConfig, principal: AppPrincipal }>}
+   * @returns {Promise<{ config: TimeldConfig, principal: AppPrincipal, gateway: boolean }>}
+   * the configuration, and whether it came from a gateway
    */
   async load() {
-    const { config: remoteConfig, principal } = await this.fetchConfig();
+    const { config: remoteConfig, principal, gateway } = await this.fetchConfig();
     const config = Env.mergeConfig(
       this.argv,
       // Gateway config overrides command-line options
@@ -40,7 +41,7 @@ export default class DomainConfigurator {
     // should never happen if this class and the gateway are behaving correctly
     if (config['@domain'] == null || !isFQDN(config['@domain']))
       throw 'No domain available';
-    return { config, principal };
+    return { config, principal, gateway };
   }
 
   /**
@@ -53,7 +54,7 @@ export default class DomainConfigurator {
    * - --no-gateway requires long-lived ably key and uses Ably App ID as base
    * domain
    *
-   * @returns {Promise<{ config: Partial<MeldConfig>, principal: AppPrincipal }>}
+   * @returns {Promise<{ config: Partial<MeldConfig>, principal: AppPrincipal, gateway: boolean }>}
    * @private
    */
   async fetchConfig() {
@@ -70,19 +71,23 @@ export default class DomainConfigurator {
       return {
         config: this.noGatewayConfig(
           `timeld.${new AblyKey(ablyKey).appId.toLowerCase()}`),
-        principal: { '@id': this.argv.user /*, TODO: sign*/ }
+        principal: { '@id': this.argv.user /*, TODO: sign*/ },
+        gateway: false
       };
     } else {
       const config = await this.fetchGatewayConfig();
       return {
-        config: Env.mergeConfig(config, this.gateway.accessConfig),
-        principal: { '@id': this.gateway.principalId /*, TODO: sign*/ }
+        config: Env.mergeConfig(config ?? this.noGatewayConfig(this.gateway.domainName),
+          this.gateway.accessConfig),
+        principal: { '@id': this.gateway.principalId /*, TODO: sign*/ },
+        gateway: config != null
       };
     }
   }
 
   /**
-   * @returns {Promise<Partial<MeldConfig>>}
+   * @returns {Promise<Partial<MeldConfig> | null>} null if the gateway is not
+   * reachable
    */
   async fetchGatewayConfig() {
     const { account, timesheet, create } = this.argv;
@@ -93,7 +98,7 @@ export default class DomainConfigurator {
       // Gateway client returns Strings for HTTP error responses!
       if (e instanceof Error) {
         console.info(`Gateway ${this.gateway.domainName} is not reachable (${e})`);
-        return this.noGatewayConfig(this.gateway.domainName);
+        return null;
       } else {
         throw e;
       }
@@ -0,0 +1,28 @@
+import { SyncProc } from '@m-ld/m-ld-cli/lib/Proc.js';
+import { Readable } from 'stream';
+
+/**
+ * A process which outputs lines as they arrive, until stopped
+ */
+export class FollowProc extends SyncProc {
+  /**
+   * @param {(proc: FollowProc) => import('rxjs').Subscription} follow starts
+   * following, pushing lines to the given process
+   */
+  constructor(follow) {
+    super(new Readable({ read: () => {} }));
+    this.subscription = follow(this);
+  }
+
+  /**
+   * @param {string} line
+   */
+  push(line) {
+    this.stdout.push(`${line}\n`);
+  }
+
+  stop() {
+    this.subscription.unsubscribe();
+    this.stdout.push(null);
+  }
+}
@@ -0,0 +1,147 @@
+import { formatDuration, formatRevenue, startOfUnit } from './util.mjs';
+import { formatDay } from 'timeld-common';
+
+/**
+ * @typedef {'day'|'week'|'month'|'activity'|'tag'|'provider'|'session'} GroupBy
+ */
+
+/** @type {GroupBy[]} */
+export const GROUP_BY_CHOICES =
+  ['day', 'week', 'month', 'activity', 'tag', 'provider', 'session'];
+
+/**
+ * An entry with more than one key, such as multiple tags, is counted in each
+ * group, so that the group subtotals may add up to more than their parent.
+ * @type {{
+ *   [groupBy in GroupBy]: (entry: Entry, timeZone?: string) => string | string[]
+ * }}
+ */
+const GROUP_KEYS = {
+  day: (entry, timeZone) => formatDay(entry.start, timeZone),
+  week: (entry, timeZone) =>
+    `Week of ${formatDay(startOfUnit(entry.start, 'week', timeZone), timeZone)}`,
+  month: (entry, timeZone) => formatDay(entry.start, timeZone).slice(0, 7),
+  activity: entry => entry.activity,
+  tag: entry => entry.tags.length ? entry.tags.map(tag => `#${tag}`) : '(untagged)',
+  provider: entry => entry.providerId,
+  session: entry => entry.sessionId
+};
+
+/**
+ * Accumulates the durations of timesheet entries into nested groups, for
+ * output as a table with subtotals and a grand total. If any entries have
+ * revenue, it is totalled in an additional column. If rounding is given,
+ * rounded durations are shown in an additional column, with a footnote.
+ */
+export default class Summary {
+  /**
+   * @param {GroupBy[]} groupBy grouping keys, outermost first
+   * @param {Rounding} [rounding] rounding for displayed durations
+   * @param {string} [timeZone] time zone for days; local if not specified
+   * @param {Map<string, number | undefined>} [projectRates] default hourly
+   * rates of the timesheet's projects, for entry revenue
+   */
+  constructor(groupBy, rounding, timeZone, projectRates = new Map) {
+    this.groupBy = groupBy;
+    this.rounding = rounding;
+    this.projectRates = projectRates;
+    this.root = new SummaryGroup('Total', rounding, timeZone);
+  }
+
+  /**
+   * @param {Entry} entry
+   */
+  add(entry) {
+    // Entries without a duration are still running, and count as zero
+    this.root.add(entry, entry.duration ?? 0,
+      entry.projectRevenue(this.projectRates), this.groupBy);
+  }
+
+  /**
+   * @returns {string[]} table lines, with the grand total last
+   */
+  lines() {
+    const rows = [...this.root.rows(), this.root].map(({ label, total, rounded, revenue }) => [
+      label,
+      formatDuration(total),
+      ...this.rounding != null ? [`${formatDuration(rounded.value)}*`] : [],
+      ...this.root.revenue != null ? [formatRevenue(revenue ?? 0)] : []
+    ]);
+    const widths = rows[0].map((_, column) =>
+      Math.max(...rows.map(row => row[column].length)) + 2);
+    const lines = rows.map(row => row.map((value, column) =>
+      column < row.length - 1 ? value.padEnd(widths[column]) : value).join(''));
+    if (this.rounding != null)
+      lines.push(`* ${this.rounding.description}`);
+    return lines;
+  }
+}
+
+class SummaryGroup {
+  /** @type {Map<string, SummaryGroup>} */
+  children = new Map;
+  total = 0;
+  /** @type {number | undefined} */
+  revenue;
+
+  /**
+   * @param {string} label
+   * @param {Rounding} [rounding]
+   * @param {string} [timeZone]
+   */
+  constructor(label, rounding, timeZone) {
+    this.label = label;
+    this.rounding = rounding;
+    this.timeZone = timeZone;
+    /** @type {RoundedTotal | undefined} */
+    this.rounded = rounding?.newTotal(timeZone);
+  }
+
+  /**
+   * @param {Entry} entry
+   * @param {number} duration
+   * @param {number | undefined} revenue
+   * @param {GroupBy[]} groupBy remaining grouping keys, outermost first
+   */
+  add(entry, duration, revenue, [groupBy, ...rest]) {
+    this.total += duration;
+    this.rounded?.add(entry.start, duration);
+    if (revenue != null)
+      this.revenue = (this.revenue ?? 0) + revenue;
+    if (groupBy != null) {
+      for (let key of [].concat(GROUP_KEYS[groupBy](entry, this.timeZone)))
+        this.child(key).add(entry, duration, revenue, rest);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {SummaryGroup}
+   */
+  child(key) {
+    let child = this.children.get(key);
+    if (child == null)
+      this.children.set(key, child = new SummaryGroup(key, this.rounding, this.timeZone));
+    return child;
+  }
+
+  /**
+   * Generates the rows of child groups, each followed by its own children
+   * @param {string} [indent]
+   * @returns {Generator<{
+   *   label: string, total: number, rounded?: RoundedTotal, revenue?: number
+   * }>}
+   */
+  *rows(indent = '') {
+    for (let key of [...this.children.keys()].sort()) {
+      const child = this.children.get(key);
+      yield {
+        label: `${indent}${child.label}`,
+        total: child.total,
+        rounded: child.rounded,
+        revenue: child.revenue
+      };
+      yield* child.rows(`${indent}  `);
+    }
+  }
+}
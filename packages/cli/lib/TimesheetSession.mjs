@@ -1,37 +1,100 @@
 import { Repl } from '@m-ld/m-ld-cli/lib/Repl.js';
+import { execute } from '@m-ld/m-ld-cli/lib/Exec.js';
 import { JsonSinkProc, SyncProc } from '@m-ld/m-ld-cli/lib/Proc.js';
 import fileCmd from '@m-ld/m-ld-cli/cmd/repl/file.js';
 import { createReadStream } from 'fs';
+import { hostname, platform } from 'os';
 import { truncate as truncateFile } from 'fs/promises';
-import { ResultsProc } from './ResultsProc.mjs';
 import {
-  durationFromInterval, parseDate, parseDuration, toDate, toDuration, toIri
+  DEFAULT_REMINDER, DEFAULT_WORKING_HOURS, durationFromInterval, formatDate, formatDuration,
+  formatProject, parseColumns, parseDate, parseDuration, parseEntrySelector, parseReminder,
+  parseTags, parseTimeRange, parseWorkingHours, splitPartialLine, startOfUnit, toBoolean, toDate,
+  toDuration, toIri, toRate, toTags, workingIntervals
 } from './util.mjs';
-import { Entry, Session } from 'timeld-common';
-import { DefaultFormat, ENTRY_FORMAT_OPTIONS, getSubjectFormat } from './DisplayFormat.mjs';
+import {
+  AccountOwnedId, dateJsonLd, Entry, ResultsReadable, Rounding, Session, toTimeZone
+} from 'timeld-common';
+import {
+  checkFormatOptions, DefaultFormat, ENTRY_FORMAT_OPTIONS, getSubjectFormat,
+  MITE_ACCOUNT_OPTIONS, ROUND_OPTIONS, SKIP_RUNNING_OPTIONS
+} from './DisplayFormat.mjs';
 import { PromiseProc } from './PromiseProc.mjs';
-import { Writable } from 'stream';
+import { Readable, Writable } from 'stream';
+import { asSubjectUpdates, propertyValue } from '@m-ld/m-ld';
+import { FollowProc } from './FollowProc.mjs';
+import { CsvSinkProc } from './CsvSinkProc.mjs';
+import MiteFormat from 'timeld-mite';
+import TogglFormat from 'timeld-toggl';
+import ClockifyFormat from 'timeld-clockify';
+import Summary, { GROUP_BY_CHOICES } from './Summary.mjs';
+
+/**
+ * Numbers of imported entries which were new, replaced an existing entry with
+ * the same external identity, or were the same as it
+ * @typedef {{ inserted?: number, updated?: number, skipped?: number }} ImportCounts
+ */
 
 export default class TimesheetSession extends Repl {
   /**
    * @param {string} spec.id
    * @param {string} spec.timesheet
+   * @param {string} spec.domain the timesheet domain name
    * @param {string} spec.providerId
    * @param {import('@m-ld/m-ld').MeldClone} spec.meld
    * @param {string} spec.logFile
    * @param {string|number} spec.logLevel
+   * @param {string} [spec.workingHours] e.g. "Mon-Fri 09:00-17:30"
+   * @param {string} [spec.round] default rounding for reports, e.g. "15m up",
+   * if the timesheet has no rounding setting of its own
+   * @param {string} [spec.timeZone] IANA time zone for entries and reports;
+   * the local time zone if not specified
+   * @param {string} [spec.remind] when to remind about a running timer, e.g.
+   * "4h", "end" of working hours, or "none"
    */
   constructor(spec) {
     super({ logLevel: spec.logLevel, prompt: `${(spec.timesheet)}>` });
-    this.session = new Session(spec.id);
+    this.timeZone = toTimeZone(spec.timeZone);
+    this.session = new Session({
+      id: spec.id,
+      timeZone: this.timeZone,
+      providerId: spec.providerId,
+      client: `timeld-cli on ${hostname()} (${platform()})`
+    });
     this.name = spec.timesheet;
+    this.timesheetId = AccountOwnedId.fromDomain(spec.domain);
     this.providerId = spec.providerId;
     this.meld = spec.meld;
     this.logFile = spec.logFile;
+    this.workingHours = parseWorkingHours(spec.workingHours ?? DEFAULT_WORKING_HOURS);
+    this.rounding = Rounding.parse(spec.round);
+    this.reminder = parseReminder(spec.remind ?? DEFAULT_REMINDER);
+    /** Running entries already reminded, by entry ID */
+    this.remindedEntries = new Set;
+    /** Gaps found by the last `gaps` command, for filling with `add --gap` */
+    this.gaps = [];
   }
 
   buildCommands(yargs, ctx) {
+    // Dates without an explicit zone, and day boundaries, are in our time zone
+    const parseZonedDate = dateStr => parseDate(dateStr, this.timeZone);
+    const parseZonedRange = rangeStr => parseTimeRange(rangeStr, new Date, this.timeZone);
     const COMPLETES_ENTRY = '. Using this option will mark the entry complete.';
+    const BILLABLE_OPTIONS = {
+      describe: 'Whether the activity can be invoiced. ' +
+        'Use --no-billable for non-billable activities',
+      type: 'boolean'
+    };
+    const RATE_OPTIONS = {
+      describe: 'The hourly rate for the activity, ' +
+        'overriding any default rate for the project',
+      type: 'number',
+      coerce: toRate
+    };
+    const PROJECT_OPTIONS = {
+      describe: 'The project that the activity is for, ' +
+        'which must be linked to the timesheet, e.g. acme/website',
+      type: 'string'
+    };
     // noinspection JSCheckFunctionSignatures
     return yargs
       .command(fileCmd(ctx))
@@ -62,23 +125,88 @@ export default class TimesheetSession extends Repl {
             describe: 'The start date/time of the activity',
             type: 'array',
             default: ['now'],
-            coerce: parseDate
+            coerce: parseZonedDate
           })
           .option('end', {
             describe: 'The end date & time of the activity' + COMPLETES_ENTRY,
             type: 'array',
-            coerce: parseDate
-          }),
+            coerce: parseZonedDate
+          })
+          .option('note', {
+            describe: 'Notes about the entry, e.g. what was discussed',
+            type: 'string'
+          })
+          .option('gap', {
+            describe: 'Fill a gap listed by the "gaps" command, ' +
+              'using its start and end' + COMPLETES_ENTRY,
+            type: 'number'
+          })
+          .option('project', PROJECT_OPTIONS)
+          .option('billable', BILLABLE_OPTIONS)
+          .option('rate', RATE_OPTIONS),
         argv => ctx.exec(
           () => this.addEntryProc(argv))
       )
+      .command(
+        'start <activity>',
+        'Start a timer for a new activity',
+        yargs => yargs
+          .positional('activity', {
+            describe: 'The name of the activity being worked on',
+            type: 'string'
+          })
+          .option('start', {
+            describe: 'The start date/time of the activity',
+            type: 'array',
+            default: ['now'],
+            coerce: parseZonedDate
+          })
+          .option('project', PROJECT_OPTIONS)
+          .option('billable', BILLABLE_OPTIONS)
+          .option('rate', RATE_OPTIONS),
+        argv => ctx.exec(
+          () => this.startTimerProc(argv))
+      )
+      .command(
+        'stop',
+        'Stop the running activity timer',
+        yargs => yargs
+          .option('end', {
+            describe: 'The end date & time of the activity',
+            type: 'array',
+            default: ['now'],
+            coerce: parseZonedDate
+          }),
+        argv => ctx.exec(
+          () => this.stopTimerProc(argv))
+      )
+      .command(
+        ['switch <activity>', 'sw'],
+        'Stop the running activity timer and start a new one',
+        yargs => yargs
+          .positional('activity', {
+            describe: 'The name of the new activity being worked on',
+            type: 'string'
+          })
+          .option('start', {
+            describe: 'The date/time of the switch',
+            type: 'array',
+            default: ['now'],
+            coerce: parseZonedDate
+          })
+          .option('project', PROJECT_OPTIONS)
+          .option('billable', BILLABLE_OPTIONS)
+          .option('rate', RATE_OPTIONS),
+        argv => ctx.exec(
+          () => this.switchTimerProc(argv))
+      )
       .command(
         ['modify <selector> [duration]', 'mod', 'm'],
         'Change the value of an existing entry',
         yargs => yargs
           .positional('selector', {
-            // TODO: entry by [activity and] date-time e.g. "work yesterday 12pm"
-            describe: 'Entry to modify, using a number or a activity name'
+            describe: 'Entry to modify, using a number, "last", or an ' +
+              'activity name and/or date-time, e.g. "work yesterday 12pm"'
           })
           .positional('duration', {
             describe: 'The new duration of the activity e.g. 1h',
@@ -88,34 +216,167 @@ export default class TimesheetSession extends Repl {
           .option('start', {
             describe: 'The new start date & time of the activity',
             type: 'array',
-            coerce: parseDate
+            coerce: parseZonedDate
           })
           .option('end', {
             describe: 'The new end date & time of the activity',
             type: 'array',
-            coerce: parseDate
+            coerce: parseZonedDate
+          })
+          .option('note', {
+            describe: 'New notes about the entry. Use an empty string to remove notes',
+            type: 'string'
+          })
+          .option('project', {
+            ...PROJECT_OPTIONS,
+            describe: 'The new project for the entry. Use an empty string to remove it'
           })
+          .option('billable', BILLABLE_OPTIONS)
+          .option('rate', RATE_OPTIONS)
           .check(argv => {
-            if (argv.start == null && argv.end == null && argv.duration == null)
-              return 'Please specify something to modify: duration, --start, or --end';
+            if (argv.start == null && argv.end == null && argv.duration == null &&
+              argv.note == null && argv.project == null &&
+              argv.billable == null && argv.rate == null)
+              return 'Please specify something to modify: duration, ' +
+                '--start, --end, --note, --project, --billable or --rate';
             return true;
           }),
         argv => ctx.exec(
           () => this.modifyEntryProc(argv))
       )
       .command(
-        ['report [selector]', 'list', 'ls'],
+        ['remove <selector>', 'rm'],
+        'Remove timesheet entries',
+        yargs => yargs
+          .positional('selector', {
+            describe: 'Entries to remove, using a number, "last", or an ' +
+              'activity name and/or time range, e.g. "work yesterday"'
+          })
+          .option('force', {
+            describe: 'Remove the entries even if there is more than one',
+            type: 'boolean'
+          }),
+        argv => ctx.exec(
+          () => this.removeEntriesProc(argv))
+      )
+      .command(
+        ['report [selector..]', 'list', 'ls'],
         'Report on a selection of time entries',
         yargs => yargs
           .positional('selector', {
-            describe: 'A time range, like "today" or "this month"',
+            describe: 'A time range, like "today", "last week" or ' +
+              '"2022-06-01..2022-06-15". Defaults to today, or with a ' +
+              'session, all of its entries',
             type: 'string',
-            default: 'today'
+            // Not defaulted here, as the default depends on the session option
+            coerce: rangeStr => rangeStr.length > 0 ? parseZonedRange(rangeStr) : undefined
+          })
+          .option('tag', {
+            describe: 'Only include entries with all of the given tags',
+            type: 'array',
+            coerce: toTags
           })
-          .option('format', ENTRY_FORMAT_OPTIONS),
+          .option('session', {
+            describe: 'Only include entries created in the given session, ' +
+              'as listed by the sessions command; or "this" for this session',
+            type: 'string'
+          })
+          .conflicts('session', 'follow')
+          .option('format', ENTRY_FORMAT_OPTIONS)
+          .option('skip-running', SKIP_RUNNING_OPTIONS)
+          .option('mite-account', MITE_ACCOUNT_OPTIONS)
+          .option('round', ROUND_OPTIONS)
+          .option('follow', {
+            describe: 'Keep reporting changes to the selected entries, ' +
+              'including from other sessions, until Ctrl+C is pressed',
+            type: 'boolean'
+          })
+          .check(argv => {
+            if (argv.follow && argv.format !== 'default')
+              return 'Following is only available with the default format';
+            return checkFormatOptions(argv);
+          }),
         argv => ctx.exec(
           () => this.reportEntriesProc(argv))
       )
+      .command(
+        ['summary [selector..]', 'sum'],
+        'Summarise the total duration of a selection of time entries',
+        yargs => yargs
+          .positional('selector', {
+            describe: 'A time range, like "today", "last week" or ' +
+              '"2022-06-01..2022-06-15"',
+            type: 'string',
+            default: 'today',
+            coerce: parseZonedRange
+          })
+          .option('tag', {
+            describe: 'Only include entries with all of the given tags',
+            type: 'array',
+            coerce: toTags
+          })
+          .option('group-by', {
+            describe: 'How to group the entries. ' +
+              'More than one grouping gives nested subtotals',
+            type: 'array',
+            choices: GROUP_BY_CHOICES,
+            default: ['day']
+          })
+          .option('round', ROUND_OPTIONS),
+        argv => ctx.exec(
+          () => this.summaryProc(argv))
+      )
+      .command(
+        'rounding [rule..]',
+        'Show or set the rounding of durations in reports and summaries ' +
+        'of this timesheet, for everyone using it',
+        yargs => yargs
+          .positional('rule', {
+            describe: 'e.g. "15m", "6m up" or "15m nearest per day"; ' +
+              'or "none" for no rounding',
+            type: 'string',
+            // null for no rounding, undefined if no rule is given
+            coerce: words => words.length > 0 ?
+              Rounding.parse(words.join(' ')) ?? null : undefined
+          })
+          .option('clear', {
+            describe: 'Remove the timesheet rounding, so that each ' +
+              'user\'s own configured rounding applies',
+            type: 'boolean'
+          })
+          .check(argv => !argv.clear || argv.rule === undefined ||
+            'Please specify either a rounding rule or --clear'),
+        argv => ctx.exec(
+          () => this.roundingProc(argv))
+      )
+      .command(
+        'gaps [selector..]',
+        'List working time which no entry covers',
+        yargs => yargs
+          .positional('selector', {
+            describe: 'A time range, like "today", "last week" or ' +
+              '"2022-06-01..2022-06-15"',
+            type: 'string',
+            default: 'this week',
+            coerce: parseZonedRange
+          }),
+        argv => ctx.exec(
+          () => this.gapsProc(argv))
+      )
+      .command(
+        'sessions',
+        'List the sessions in which entries have been created',
+        yargs => yargs,
+        () => ctx.exec(
+          () => this.sessionsProc())
+      )
+      .command(
+        'check',
+        'Check the timesheet for overlapping, long-running and malformed entries',
+        yargs => yargs,
+        () => ctx.exec(
+          () => this.checkProc())
+      )
       .command(
         'import [path]',
         'Import time entries.\n' +
@@ -125,7 +386,12 @@ export default class TimesheetSession extends Repl {
             ['entries.json > $0', 'Import from a JSON-LD file containing an array'],
             ['entry.json > $0 $', 'Import from a file containing just one entry'],
             ['$0 --data \'{"activity": "trying it out", "start": "now"}\'', 'Import data'],
-            ['fetch my-time-tracker > $0', 'Import from another system (coming soon!)']
+            ['entries.csv > $0 --format csv --columns activity=Task,start=Date',
+              'Import from a spreadsheet, with the given column headers'],
+            ['time_entries.json > $0 --from mite --mite-account my-company',
+              'Import from a mite export'],
+            ['Toggl_time_entries.csv > $0 --from toggl --format csv',
+              'Import from a Toggl Track detailed report export']
           ])
           .positional('path', {
             default: '*',
@@ -136,9 +402,47 @@ export default class TimesheetSession extends Repl {
             describe: 'literal data to import',
             type: 'string'
           })
+          .option('format', {
+            describe: 'The format of the input. ' +
+              'Delimited formats must have a header row',
+            choices: ['json', 'csv', 'tsv'],
+            default: 'json'
+          })
+          .option('columns', {
+            describe: 'For delimited formats, the column headers to use ' +
+              'for entry properties, e.g. activity=Task,start=Date,duration=Hours:h. ' +
+              'Durations are in minutes, unless a unit is given. ' +
+              'Other columns are used if their header is an entry property',
+            type: 'string',
+            coerce: parseColumns
+          })
+          .option('from', {
+            describe: 'The system that the input was exported from',
+            choices: ['mite', 'toggl', 'clockify']
+          })
+          .option('mite-account', {
+            describe: 'For import from mite, the mite account name',
+            type: 'string'
+          })
+          .option('project', {
+            ...PROJECT_OPTIONS,
+            describe: 'The project for imported entries which do not have one, ' +
+              'which must be linked to the timesheet'
+          })
           .option('dry-run', {
             describe: 'Just read the first few entries and echo them',
             type: 'boolean'
+          })
+          .check(argv => {
+            const unknown = Object.values(argv.columns ?? {})
+              .map(column => column.property)
+              .filter(property => !IMPORT_PROPERTIES.includes(property));
+            if (unknown.length > 0)
+              return `Unknown entry properties: ${unknown.join(', ')}. ` +
+                `Please use ${IMPORT_PROPERTIES.join(', ')}`;
+            if (argv.from === 'mite' && !argv.miteAccount)
+              return 'Please specify the --mite-account to import from';
+            return true;
           }),
         argv => ctx.exec(
           () => this.importEntriesProc(ctx.stdin, argv))
@@ -146,18 +450,424 @@ export default class TimesheetSession extends Repl {
   }
 
   /**
-   * @param {string} selector
+   * @param {TimeRange} [selector] if not specified, today or the whole session
+   * @param {string[]} [tag] tags which the entries must all have
+   * @param {string} [session] only entries created in this session ID, or
+   * "this" for this session
    * @param {EntryFormatName} format
+   * @param {boolean} [skipRunning]
+   * @param {boolean} [follow]
+   * @param {string} [miteAccount]
+   * @param {Rounding} [round] overrides the default rounding
    * @returns {Proc}
    */
-  reportEntriesProc({ selector, format }) {
-    // TODO: selectors
-    return new ResultsProc(
-      this.meld.read({
+  reportEntriesProc({
+    selector, tag, session, format, skipRunning, follow, miteAccount, ...argv
+  }) {
+    if (selector == null && session == null)
+      selector = parseTimeRange('today', new Date, this.timeZone);
+    if (follow)
+      return this.followEntriesProc(selector, tag);
+    const properties = withTags(tag);
+    if (session != null)
+      properties.session = { '@id': session === 'this' ? this.session.id : session };
+    // The format depends on timesheet settings, which are read first
+    const chunks = async function* () {
+      const subjectFormat = getSubjectFormat(format, this.getSession, {
+        skipRunning, miteAccount,
+        rounding: await this.getRounding(argv),
+        timeZone: this.timeZone,
+        projectRates: await this.getProjectRates(),
+        projectExternals: await this.getProjectExternals()
+      });
+      const results = new ResultsReadable(this.meld.read({
         '@describe': '?entry',
-        '@where': { '@id': '?entry', '@type': 'Entry' }
-      }).consume,
-      getSubjectFormat(format, this.getSession));
+        '@where': entriesStartingIn(selector, properties)
+      }).consume, subjectFormat);
+      yield* results;
+      // Other formats are documents or data for re-import, without a total
+      if (subjectFormat instanceof DefaultFormat)
+        yield `${results.index > 0 ? subjectFormat.separator : ''}` +
+          await subjectFormat.stringify(subjectFormat.total);
+    };
+    return new SyncProc(Readable.from(chunks.call(this)));
+  }
+
+  /**
+   * Reports the entries in the given range, and then any entries in the range
+   * which are added, modified or removed, in this or any other session.
+   *
+   * @param {TimeRange} range
+   * @param {string[]} [tags] tags which the entries must all have
+   * @returns {FollowProc} a process which runs until stopped with Ctrl+C
+   */
+  followEntriesProc(range, tags = []) {
+    // Sessions must be loaded from the given state, which is locked
+    const getSession = state => entry =>
+      entry.sessionId === this.session.id ? 'This session' : state.get(entry.sessionId);
+    const format = state => new DefaultFormat(getSession(state), undefined, this.timeZone);
+    const inRange = src => {
+      const start = propertyValue(src, 'start', Date);
+      return start >= range.start && start < range.end;
+    };
+    const hasTags = src => {
+      const entryTags = propertyValue(src, 'tag', Array, String);
+      return tags.every(tag => entryTags.includes(tag));
+    };
+    // A new subject has nothing deleted except possibly its identity
+    const isNew = deleted => Object.keys(deleted ?? {}).every(key => key === '@id');
+    const proc = new FollowProc(proc => this.meld.read(async state => {
+      for (let src of await state.read({
+        '@describe': '?entry',
+        '@where': entriesStartingIn(range, withTags(tags))
+      })) {
+        proc.push(await format(state).stringify(src));
+      }
+      proc.emit('message', 'Following changes, press Ctrl+C to stop.');
+    }, async (update, state) => {
+      for (let [id, { '@delete': deleted }] of
+        Object.entries(asSubjectUpdates(update))) {
+        try {
+          const src = await state.get(id);
+          if (src?.['@type'] === 'Entry') {
+            if (hasTags(src) && (inRange(src) || (deleted?.start != null && inRange(deleted))))
+              proc.push(`${isNew(deleted) ? 'Added' : 'Modified'} ` +
+                await format(state).stringify(src));
+          } else if (deleted?.['@type'] === 'Entry' && hasTags(deleted) && inRange(deleted)) {
+            proc.push(`Removed ${await format(state).stringify(deleted)}`);
+          }
+        } catch (e) {
+          // Malformed entries, e.g. with concurrent starts, are found by the check command
+        }
+      }
+    }));
+    if (this.rl != null) {
+      // The REPL pauses input while a command executes
+      const stop = () => proc.stop();
+      this.rl.resume();
+      this.rl.once('SIGINT', stop);
+      // Errors are reported by the REPL
+      proc.done.catch(() => {}).finally(() => this.rl.off('SIGINT', stop));
+    }
+    return proc;
+  }
+
+  /**
+   * @param {TimeRange} selector
+   * @param {string[]} [tag] tags which the entries must all have
+   * @param {GroupBy[]} groupBy
+   * @param {Rounding} [round] overrides the default rounding
+   * @returns {Proc}
+   */
+  summaryProc({ selector, tag, groupBy, ...argv }) {
+    const lines = async function* () {
+      yield* this.summaryLines(selector, groupBy, tag, await this.getRounding(argv));
+    };
+    return new SyncProc(Readable.from(lines.call(this)));
+  }
+
+  /**
+   * @param {{ round?: Rounding }} argv
+   * @returns {Promise<Rounding | undefined>} the rounding option, which may be
+   * "none"; or the timesheet rounding setting; or the default rounding
+   */
+  async getRounding(argv) {
+    if ('round' in argv)
+      return argv.round;
+    const setting = await this.getTimesheetRounding();
+    return setting !== undefined ? setting : this.rounding;
+  }
+
+  /**
+   * @returns {Promise<Rounding | null | undefined>} the rounding setting of the
+   * timesheet, which is `null` for no rounding; or `undefined` if not set
+   */
+  async getTimesheetRounding() {
+    const [result] = await this.meld.read({
+      '@select': '?rounding',
+      '@where': { '@id': this.timesheetId.toIri(), rounding: '?rounding' }
+    });
+    if (result != null)
+      return Rounding.parse(result['?rounding']) ?? null;
+  }
+
+  /**
+   * @returns {Promise<Map<string, number | undefined>>} the default hourly
+   * rates of the projects linked to this timesheet, by project IRI, as copied
+   * from the gateway
+   */
+  async getProjectRates() {
+    const rates = new Map;
+    for (let [id, project] of await this.getLinkedProjects())
+      rates.set(id, project != null ? propertyValue(project, 'rate', Array, Number)[0] : undefined);
+    return rates;
+  }
+
+  /**
+   * @returns {Promise<Map<string, string>>} the external identities of the
+   * projects linked to this timesheet which have one, by project IRI
+   */
+  async getProjectExternals() {
+    const externals = new Map;
+    for (let [id, project] of await this.getLinkedProjects()) {
+      const [external] = project != null ? propertyValue(project, 'external', Array, Object) : [];
+      if (external != null)
+        externals.set(id, external['@id']);
+    }
+    return externals;
+  }
+
+  /**
+   * @returns {Promise<Map<string, import('@m-ld/m-ld').GraphSubject | undefined>>}
+   * the projects linked to this timesheet, by project IRI
+   */
+  async getLinkedProjects() {
+    const projects = new Map;
+    for (let { '?project': { '@id': id } } of await this.meld.read({
+      '@select': '?project', '@where': { '@type': 'Timesheet', project: '?project' }
+    })) {
+      projects.set(id, await this.meld.get(id));
+    }
+    return projects;
+  }
+
+  /**
+   * Shows the rounding setting of the timesheet, or sets it for everyone
+   * using the timesheet. The setting overrides each user's configured
+   * rounding, and is overridden by the `--round` option of a report.
+   *
+   * @param {Rounding | null} [rule] the rounding to set, or null for none
+   * @param {boolean} [clear] remove the setting
+   * @returns {Proc}
+   */
+  roundingProc({ rule, clear }) {
+    const describe = rounding => rounding != null ? rounding.description : 'not rounded';
+    const proc = new PromiseProc((async () => {
+      if (clear || rule !== undefined) {
+        const id = this.timesheetId.toIri();
+        await this.meld.write(async state => {
+          state = await state.write({ '@delete': { '@id': id, rounding: '?rounding' } });
+          if (!clear)
+            await state.write({
+              '@id': id, '@type': 'Timesheet', rounding: rule?.toString() ?? 'none'
+            });
+        });
+      }
+      const setting = await this.getTimesheetRounding();
+      proc.emit('message', setting !== undefined ?
+        `Reports of this timesheet are ${describe(setting)}.` :
+        `This timesheet has no rounding setting. Your reports are ${describe(this.rounding)}.`);
+    })());
+    return proc;
+  }
+
+  /**
+   * @param {TimeRange} range
+   * @param {GroupBy[]} groupBy
+   * @param {string[]} [tags] tags which the entries must all have
+   * @param {Rounding} [rounding] rounding for displayed durations
+   * @returns {AsyncGenerator<string>} summary table lines
+   */
+  async *summaryLines(range, groupBy, tags, rounding) {
+    const summary = new Summary(groupBy, rounding, this.timeZone, await this.getProjectRates());
+    for (let src of await this.meld.read({
+      '@describe': '?entry',
+      '@where': entriesStartingIn(range, withTags(tags))
+    })) {
+      try {
+        summary.add(Entry.fromJSON(src));
+      } catch (e) {
+        // Malformed entries cannot be summarised
+      }
+    }
+    for (let line of summary.lines())
+      yield `${line}\n`;
+  }
+
+  /**
+   * @param {TimeRange} selector
+   * @returns {Proc}
+   */
+  gapsProc({ selector }) {
+    return new SyncProc(Readable.from(this.gapsLines(selector)));
+  }
+
+  /**
+   * Lists the intervals in working hours, up to now, which are not covered by
+   * any entry by this session's provider. The gaps are numbered, so that they
+   * can be filled using `add --gap`.
+   *
+   * @param {TimeRange} range
+   * @returns {AsyncGenerator<string>} gap lines
+   */
+  async *gapsLines(range) {
+    const now = new Date;
+    const working = workingIntervals({
+      start: range.start, end: range.end < now ? range.end : now
+    }, this.workingHours, this.timeZone);
+    const covered = [];
+    // Look for entries that started up to a day before, which may span the range
+    const dayBefore = new Date(range.start.getTime() - 24 * 60 * 60 * 1000);
+    for (let src of await this.meld.read({
+      '@describe': '?entry',
+      '@where': entriesStartingIn({ start: dayBefore, end: range.end }, {
+        'vf:provider': { '@id': this.providerId }
+      })
+    })) {
+      try {
+        const entry = Entry.fromJSON(src);
+        covered.push({ start: entry.start, end: entry.end ?? now });
+      } catch (e) {
+        // Malformed entries are reported by the check command
+      }
+    }
+    this.gaps = subtractIntervals(working, covered)
+      // Ignore gaps of less than a minute, e.g. between added entries
+      .filter(gap => gap.end - gap.start >= 60000);
+    if (this.gaps.length === 0) {
+      yield 'No gaps found.\n';
+    } else {
+      for (let [i, gap] of this.gaps.entries()) {
+        yield `Gap ${i + 1}: ${formatDate(gap.start, this.timeZone)} to ` +
+          `${formatDate(gap.end, this.timeZone)} ` +
+          `(${formatDuration(durationFromInterval(gap.start, gap.end))})\n`;
+      }
+      yield 'Use "add <activity> --gap <number>" to fill a gap.\n';
+    }
+  }
+
+  /**
+   * @param {number} gapNo gap number, from the last `gaps` command
+   * @returns {TimeRange}
+   */
+  getGap(gapNo) {
+    const gap = this.gaps[gapNo - 1];
+    if (gap == null)
+      throw `There is no gap #${gapNo}. Use a "gaps" command to list gaps.`;
+    return gap;
+  }
+
+  /**
+   * @returns {Proc}
+   */
+  sessionsProc() {
+    return new SyncProc(Readable.from(this.sessionLines()));
+  }
+
+  /**
+   * Lists every session in the timesheet, oldest first, with who used it, on
+   * what client, and the count and total duration of the entries created in it.
+   * Sessions without a subject of their own, or with malformed properties, are
+   * still listed from their entries.
+   *
+   * @returns {AsyncGenerator<string>} a line for each session
+   */
+  async *sessionLines() {
+    const sessions = {};
+    const getSession = id => sessions[id] ??= { id, providers: new Set, entries: 0, duration: 0 };
+    for (let src of await this.meld.read({
+      '@describe': '?session',
+      '@where': { '@id': '?session', '@type': 'Session' }
+    })) {
+      const session = getSession(src['@id']);
+      try {
+        session.start = propertyValue(src, 'start', Date);
+        session.client = propertyValue(src, 'client', Array, String).join(', ');
+        propertyValue(src, 'vf:provider', Array, Object)
+          .forEach(provider => session.providers.add(provider['@id']));
+      } catch (e) {
+        // Show whatever can be shown
+      }
+    }
+    for (let src of await this.meld.read({
+      '@describe': '?entry',
+      '@where': { '@id': '?entry', '@type': 'Entry' }
+    })) {
+      try {
+        const entry = Entry.fromJSON(src);
+        const session = getSession(entry.sessionId);
+        session.providers.add(entry.providerId);
+        session.entries++;
+        session.duration += entry.duration ?? 0;
+      } catch (e) {
+        // Malformed entries are found by the check command
+      }
+    }
+    const sorted = Object.values(sessions)
+      .sort((s1, s2) => (s1.start ?? 0) - (s2.start ?? 0));
+    for (let { id, start, providers, client, entries, duration } of sorted) {
+      yield `Session ${id}${id === this.session.id ? ' (this session)' : ''}: ` +
+        `started ${start != null ? formatDate(start, this.timeZone) : 'at an unknown time'}` +
+        (providers.size > 0 ? ` by ${[...providers].join(', ')}` : '') +
+        (client ? ` using ${client}` : '') +
+        `, ${entries} ${entries === 1 ? 'entry' : 'entries'} ` +
+        `totalling ${formatDuration(duration)}\n`;
+    }
+    if (sorted.length === 0)
+      yield 'No sessions found.\n';
+  }
+
+  /**
+   * @returns {Proc}
+   */
+  checkProc() {
+    return new SyncProc(Readable.from(this.checkLines()));
+  }
+
+  /**
+   * Checks all entries in the timesheet for:
+   * - concurrent values for `start` or `duration`, from concurrent edits
+   * - malformed data
+   * - no duration, having started more than a day ago
+   * - overlapping another entry by the same provider
+   *
+   * @returns {AsyncGenerator<string>} lines describing any problems found
+   */
+  async *checkLines() {
+    const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const byProvider = {};
+    let problems = 0;
+    for (let src of await this.meld.read({
+      '@describe': '?entry',
+      '@where': { '@id': '?entry', '@type': 'Entry' }
+    })) {
+      const concurrent = ['start', 'duration']
+        .filter(property => [].concat(src[property] ?? []).length > 1);
+      if (concurrent.length > 0) {
+        problems++;
+        yield `Entry ${src['@id']} has more than one ${concurrent.join(' and ')}, ` +
+          `from concurrent edits. Use "modify" to give it a new ${concurrent.join(' and ')}.\n`;
+        continue;
+      }
+      let entry;
+      try {
+        entry = Entry.fromJSON(src);
+      } catch (e) {
+        problems++;
+        yield `Entry ${src['@id']} is malformed: ${e}\n`;
+        continue;
+      }
+      if (entry.duration == null && entry.start < dayAgo) {
+        problems++;
+        yield `${this.entryLabel(entry)} has been running for more than a day\n`;
+      }
+      (byProvider[entry.providerId] ??= []).push(entry);
+    }
+    for (let entries of Object.values(byProvider)) {
+      entries.sort((e1, e2) => e1.start - e2.start);
+      for (let i = 0; i < entries.length; i++) {
+        // Only later-starting entries need to be compared
+        for (let j = i + 1; j < entries.length; j++) {
+          if (overlaps(entries[i], entries[j])) {
+            problems++;
+            yield `${this.entryLabel(entries[i])} overlaps ` +
+              `${this.entryLabel(entries[j])}\n`;
+          }
+        }
+      }
+    }
+    if (problems === 0)
+      yield 'No problems found.\n';
   }
 
   /**
@@ -167,47 +877,235 @@ export default class TimesheetSession extends Repl {
     entry.sessionId === this.session.id ? 'This session' : this.meld.get(entry.sessionId);
 
   /**
-   * @param {string | number} selector Entry to modify, using a number or a activity name
+   * @param {Entry} entry
+   * @returns {string} the entry label, with its start in our time zone
+   */
+  entryLabel(entry) {
+    return DefaultFormat.entryLabel(entry, { timeZone: this.timeZone });
+  }
+
+  /**
+   * @param {import('@m-ld/m-ld').GraphSubject} src entry, possibly malformed
+   * @returns {string} the entry label, or its identity if it is malformed
+   */
+  srcLabel(src) {
+    try {
+      return this.entryLabel(Entry.fromJSON(src));
+    } catch (e) {
+      return `${src['@id']} (malformed, see "check")`;
+    }
+  }
+
+  /**
+   * @param {string | number} selector Entry to modify, see {@link selectEntries}
    * @param {number} [duration] in minutes
    * @param {Date} [start]
    * @param {Date} [end]
+   * @param {string} [note] an empty note removes any existing note
+   * @param {string} [project] an empty project removes any existing project
+   * @param {boolean} [billable]
+   * @param {number} [rate]
    * @returns {Proc}
    */
-  modifyEntryProc({ selector, duration, start, end }) {
-    // TODO: selector is not specific enough?
+  modifyEntryProc({ selector, duration, start, end, note, project, billable, rate }) {
     const proc = new PromiseProc(this.meld.write(async state => {
-      async function updateEntry(src) {
-        const entry = Entry.fromJSON(src);
-        if (start != null)
-          entry.start = start;
-        if (end != null && duration == null)
-          entry.duration = durationFromInterval(entry.start, end);
-        if (duration != null)
-          entry.duration = duration;
-        proc.emit('message', DefaultFormat.entryLabel(entry));
-        return state.write({
-          '@delete': src,
-          '@insert': entry.toJSON()
-        });
-      }
-      if (typeof selector == 'number') {
-        const src = await state.get(`${this.session.id}/${selector}`);
-        if (src != null)
-          await updateEntry(src);
-        else
-          throw 'No such activity sequence number found in this session.';
-      } else {
-        for (let src of await state.read({
-          '@describe': '?id',
-          '@where': {
-            '@id': '?id',
-            '@type': 'Entry',
-            activity: selector
-          }
-        })) {
-          state = await updateEntry(src);
+      const src = await this.selectOneEntry(state, selector);
+      const entry = Entry.fromJSON(resolveConcurrent(src, {
+        start: start != null ? dateJsonLd(start) : undefined,
+        // Any duration will be replaced, so its current value is not needed
+        duration: duration ?? (end != null ? 0 : undefined)
+      }));
+      if (start != null)
+        entry.start = start;
+      if (end != null && duration == null)
+        entry.duration = durationFromInterval(entry.start, end);
+      if (duration != null)
+        entry.duration = duration;
+      if (note != null)
+        entry.note = note || undefined;
+      if (project != null)
+        entry.projectId = project ? await this.resolveProject(state, project) : undefined;
+      if (billable != null)
+        entry.billable = billable;
+      if (rate != null)
+        entry.rate = rate;
+      proc.emit('message', this.entryLabel(entry));
+      state = await state.write({
+        '@delete': src,
+        '@insert': entry.toJSON()
+      });
+      if (start != null || end != null || duration != null)
+        await this.warnOverlaps(proc, state, entry);
+    }));
+    return proc;
+  }
+
+  /**
+   * Selects entries using:
+   * - a number, for an entry created in this session
+   * - "last", for the most recently started entry by this session's provider
+   * - an activity name
+   * - a time range in which the entries start, optionally with an activity
+   * name, e.g. "standup yesterday"
+   * - a date-time during the entry, optionally with an activity name, e.g.
+   * "work today 12pm"
+   *
+   * @param {import('@m-ld/m-ld').MeldReadState} state
+   * @param {string | number} selector
+   * @returns {Promise<import('@m-ld/m-ld').GraphSubject[]>} selected entries
+   */
+  async selectEntries(state, selector) {
+    if (typeof selector == 'number') {
+      const src = await state.get(`${this.session.id}/${selector}`);
+      return src != null ? [src] : [];
+    }
+    if (selector === 'last') {
+      const byProvider = await state.read({
+        '@describe': '?entry',
+        '@where': {
+          '@id': '?entry', '@type': 'Entry', 'vf:provider': { '@id': this.providerId }
+        }
+      });
+      return byProvider.sort(byStart).slice(-1);
+    }
+    const byActivity = await state.read({
+      '@describe': '?entry',
+      '@where': { '@id': '?entry', '@type': 'Entry', activity: selector }
+    });
+    if (byActivity.length > 0)
+      return byActivity;
+    const { activity, range, at } = parseEntrySelector(selector, new Date, this.timeZone);
+    if (range == null)
+      return []; // Not a time either
+    const properties = activity != null ? { activity } : {};
+    if (at != null) {
+      // Look for entries that started up to a day before, and span the time
+      const dayBefore = new Date(at.getTime() - 24 * 60 * 60 * 1000);
+      const candidates = await state.read({
+        '@describe': '?entry',
+        '@where': entriesStartingIn({ start: dayBefore, end: new Date(at.getTime() + 1) }, properties)
+      });
+      return candidates.filter(src => {
+        try {
+          const entry = Entry.fromJSON(src);
+          return entry.start <= at && at < (entry.end ?? new Date);
+        } catch (e) {
+          return false; // Malformed entries are found by the check command
+        }
+      });
+    }
+    return state.read({
+      '@describe': '?entry', '@where': entriesStartingIn(range, properties)
+    });
+  }
+
+  /**
+   * @param {import('@m-ld/m-ld').MeldReadState} state
+   * @param {string | number} selector
+   * @returns {Promise<import('@m-ld/m-ld').GraphSubject>} the selected entry
+   * @see selectEntries
+   */
+  async selectOneEntry(state, selector) {
+    const srcs = await this.selectEntries(state, selector);
+    if (srcs.length === 0)
+      throw 'No matching entry found.';
+    if (srcs.length > 1)
+      throw `"${selector}" matches more than one entry:\n` +
+      srcs.sort(byStart).map(src => this.srcLabel(src))
+        .join('\n') + '\nPlease use an entry number, or be more specific.';
+    return srcs[0];
+  }
+
+  /**
+   * Finds a project linked to this timesheet, by its identity or name. The
+   * linked projects are maintained in the timesheet by the gateway.
+   *
+   * @param {import('@m-ld/m-ld').MeldReadState} state
+   * @param {string} project project IRI, `account/name` or just `name`
+   * @returns {Promise<string>} the project IRI
+   */
+  async resolveProject(state, project) {
+    const linked = (await state.read({
+      '@select': '?project',
+      '@where': { '@type': 'Timesheet', project: '?project' }
+    })).map(result => result['?project']['@id']);
+    const matching = linked.filter(id => id === project ||
+      formatProject(id) === project || formatProject(id).split('/')[1] === project);
+    if (matching.length > 1)
+      throw `Project "${project}" is ambiguous, please include its account.`;
+    if (matching.length === 0)
+      throw `Project "${project}" is not linked to this timesheet.\n` +
+      (linked.length ? `Linked projects are: ${linked.map(formatProject).join(', ')}` :
+        'This timesheet has no linked projects.');
+    return matching[0];
+  }
+
+  /**
+   * Writes a new entry. If the entry has an external identity which matches
+   * an existing entry, for example from a previous import, the existing entry
+   * is replaced, keeping its identity; unless it is unchanged.
+   *
+   * @param {import('@m-ld/m-ld').MeldState} state
+   * @param {Entry} entry new entry, whose project may need to be resolved
+   * @param {ImportCounts} [counts] incremented with the outcome
+   * @returns {Promise<import('@m-ld/m-ld').MeldState>}
+   */
+  async writeEntry(state, entry, counts = {}) {
+    if (entry.projectId != null)
+      entry.projectId = await this.resolveProject(state, entry.projectId);
+    if (entry.externalId != null) {
+      const [existing] = await state.read({
+        '@describe': '?entry',
+        '@where': { '@id': '?entry', '@type': 'Entry', external: { '@id': entry.externalId } }
+      });
+      if (existing != null) {
+        entry.sessionId = propertyValue(existing, 'session', Object)['@id'];
+        entry.seqNo = existing['@id'].split('/').slice(-1)[0];
+        if (sameEntry(existing, entry)) {
+          counts.skipped = (counts.skipped ?? 0) + 1;
+          return state;
         }
+        counts.updated = (counts.updated ?? 0) + 1;
+        return state.write({ '@delete': existing, '@insert': entry.toJSON() });
       }
+    }
+    counts.inserted = (counts.inserted ?? 0) + 1;
+    return state.write({ '@graph': [entry.toJSON(), this.session.toJSON()] });
+  }
+
+  /**
+   * Keeps the identity of a linked project in another system, for example
+   * from an import, so that exports to the system can refer to it; unless
+   * the project already has an external identity.
+   *
+   * @param {import('@m-ld/m-ld').MeldState} state
+   * @param {string} projectId linked project IRI
+   * @param {string} external project IRI in the other system
+   * @returns {Promise<void>}
+   */
+  async writeProjectExternal(state, projectId, external) {
+    const project = await state.get(projectId);
+    if (project == null || propertyValue(project, 'external', Array, Object).length === 0)
+      await state.write({ '@id': projectId, external: { '@id': external } });
+  }
+
+  /**
+   * @param {string | number} selector Entries to remove
+   * @param {boolean} [force] remove more than one entry
+   * @returns {Proc}
+   */
+  removeEntriesProc({ selector, force }) {
+    const proc = new PromiseProc(this.meld.write(async state => {
+      const srcs = await this.selectEntries(state, selector);
+      if (srcs.length === 0)
+        throw 'No matching entries found.';
+      const labels = srcs.sort(byStart).map(src => this.srcLabel(src));
+      if (srcs.length > 1 && !force)
+        throw `"${selector}" matches more than one entry:\n${labels.join('\n')}\n` +
+        'Use --force to remove them all, or an entry number to remove just one.';
+      await state.write({ '@delete': srcs });
+      proc.emit('message', 'Removed:');
+      labels.forEach(label => proc.emit('message', label));
     }));
     return proc;
   }
@@ -222,32 +1120,60 @@ export default class TimesheetSession extends Repl {
    * @param {*} [duration]
    * @param {*} [end]
    * @param {*} [external]
+   * @param {*} [note]
+   * @param {*} [project] project identity or reference, resolved on write
+   * @param {*} [tag] tags, in addition to any hashtags in the activity
+   * @param {*} [billable]
+   * @param {*} [rate] hourly rate
+   * @param {*} [timeZone] author's time zone, otherwise this session's
    * @returns {Entry}
    */
-  toEntry({ activity, provider, start, duration, end, external }) {
+  toEntry({
+    activity, provider, start, duration, end, external, note, project, tag, billable, rate,
+    timeZone
+  }) {
     if (typeof activity != 'string')
       throw new RangeError('Activity must be a string');
-    start = toDate(start);
+    if (note != null && typeof note != 'string')
+      throw new RangeError('Note must be a string');
+    if (typeof project == 'object' && project != null)
+      project = project['@id'];
+    if (project != null && typeof project != 'string')
+      throw new RangeError('Project must be a string or a reference');
+    const parsed = parseTags(activity);
+    const tags = [...new Set([...parsed.tags, ...toTags(tag)])];
+    timeZone = timeZone != null ? toTimeZone(timeZone) : this.timeZone;
+    start = toDate(start, timeZone);
     if (duration != null)
       duration = toDuration(duration);
     else if (end != null)
-      duration = durationFromInterval(start, toDate(end));
+      duration = durationFromInterval(start, toDate(end, timeZone));
     return new Entry({
       seqNo: `${this.session.claimEntryId()}`,
       sessionId: this.session.id,
       providerId: toIri(provider) ?? this.providerId,
-      activity, start, duration,
-      externalId: toIri(external)
+      activity: parsed.activity, start, duration, tags,
+      note: note || undefined,
+      projectId: project || undefined,
+      billable: billable != null ? toBoolean(billable) : undefined,
+      rate: rate != null ? toRate(rate) : undefined,
+      externalId: toIri(external),
+      timeZone
     });
   }
 
   /**
    * @param {Entry} entry
+   * @param {ImportCounts} [counts] incremented with the outcome
+   * @param {string} [projectExternal] identity of the entry's project in the
+   * system that the entry was imported from
    * @returns {Promise<Entry>}
    */
-  async addEntry(entry) {
-    await this.meld.write({
-      '@graph': [entry.toJSON(), this.session.toJSON()]
+  async addEntry(entry, counts, projectExternal) {
+    await this.meld.write(async state => {
+      state = await this.writeEntry(state, entry, counts);
+      if (projectExternal != null)
+        await this.writeProjectExternal(state, entry.projectId, projectExternal);
     });
     return entry;
   }
@@ -257,37 +1183,193 @@ export default class TimesheetSession extends Repl {
    * @returns {Proc}
    */
   addEntryProc(argv) {
-    const proc = new PromiseProc(this.addEntry(this.toEntry(argv)).then(entry => {
-      proc.emit('message', DefaultFormat.entryLabel(entry));
+    const proc = new PromiseProc(this.meld.write(async state => {
+      const gap = argv.gap != null ? this.getGap(argv.gap) : {};
+      const entry = this.toEntry({ ...argv, ...gap });
+      state = await this.writeEntry(state, entry);
+      proc.emit('message', this.entryLabel(entry));
+      await this.warnOverlaps(proc, state, entry);
       proc.emit('message', 'Use a "modify" command if this is wrong.');
     }));
     return proc;
   }
 
+  /**
+   * @param {import('@m-ld/m-ld').MeldReadState} state
+   * @param {Entry} entry
+   * @returns {Promise<Entry[]>} other entries by the same provider which
+   * overlap the given entry
+   */
+  async overlappingEntries(state, entry) {
+    const entryId = `${entry.sessionId}/${entry.seqNo}`;
+    return (await state.read({
+      '@describe': '?entry',
+      '@where': {
+        '@id': '?entry',
+        '@type': 'Entry',
+        'vf:provider': { '@id': entry.providerId }
+      }
+    })).filter(src => src['@id'] !== entryId).flatMap(src => {
+      try {
+        const other = Entry.fromJSON(src);
+        return overlaps(entry, other) ? [other] : [];
+      } catch (e) {
+        return []; // Malformed entries are reported by the check command
+      }
+    }).sort((e1, e2) => e1.start - e2.start);
+  }
+
+  /**
+   * @param {Proc} proc to emit warning messages
+   * @param {import('@m-ld/m-ld').MeldReadState} state
+   * @param {Entry} entry new or modified entry
+   * @returns {Promise<void>}
+   */
+  async warnOverlaps(proc, state, entry) {
+    const overlapping = await this.overlappingEntries(state, entry);
+    if (overlapping.length > 0) {
+      proc.emit('message', 'Warning: this entry overlaps with:');
+      for (let other of overlapping)
+        proc.emit('message', this.entryLabel(other));
+    }
+  }
+
+  /**
+   * Entries by this session's provider which have no duration are considered
+   * to be running timers. Malformed entries are ignored.
+   *
+   * @param {import('@m-ld/m-ld').MeldReadState} [state]
+   * @returns {Promise<Entry[]>} running entries, most recently started first
+   */
+  async runningEntries(state = this.meld) {
+    const running = [];
+    for (let src of await state.read({
+      '@describe': '?entry',
+      '@where': {
+        '@id': '?entry',
+        '@type': 'Entry',
+        'vf:provider': { '@id': this.providerId }
+      }
+    })) {
+      if (src.duration == null) {
+        try {
+          running.push(Entry.fromJSON(src));
+        } catch (e) {
+          // Malformed entries are found by the check command
+        }
+      }
+    }
+    return running.sort((e1, e2) => e2.start - e1.start);
+  }
+
+  /**
+   * @param {Entry} entry running entry to stop, will be given a duration
+   * @param {Date} end
+   * @returns {import('@m-ld/m-ld').Subject} the update to write
+   */
+  stopUpdate(entry, end) {
+    entry.duration = durationFromInterval(entry.start, end);
+    return { '@id': `${entry.sessionId}/${entry.seqNo}`, duration: entry.duration };
+  }
+
+  /**
+   * @param {object} argv
+   * @returns {Proc}
+   */
+  startTimerProc(argv) {
+    const proc = new PromiseProc(this.meld.write(async state => {
+      const [running] = await this.runningEntries(state);
+      if (running != null)
+        throw `${this.entryLabel(running)} is already running.\n` +
+        'Use a "switch" command to change activity.';
+      const entry = this.toEntry(argv);
+      await this.writeEntry(state, entry);
+      proc.emit('message', `Started ${this.entryLabel(entry)}`);
+    }));
+    return proc;
+  }
+
+  /**
+   * @param {Date} end
+   * @returns {Proc}
+   */
+  stopTimerProc({ end }) {
+    const proc = new PromiseProc(this.meld.write(async state => {
+      const [running] = await this.runningEntries(state);
+      if (running == null)
+        throw 'No activity is running.';
+      await state.write(this.stopUpdate(running, end));
+      proc.emit('message', `Stopped ${this.entryLabel(running)}`);
+    }));
+    return proc;
+  }
+
+  /**
+   * @param {object} argv
+   * @returns {Proc}
+   */
+  switchTimerProc(argv) {
+    const proc = new PromiseProc(this.meld.write(async state => {
+      const [running] = await this.runningEntries(state);
+      if (running != null) {
+        state = await state.write(this.stopUpdate(running, argv.start));
+        proc.emit('message', `Stopped ${this.entryLabel(running)}`);
+      }
+      const entry = this.toEntry(argv);
+      await this.writeEntry(state, entry);
+      proc.emit('message', `Started ${this.entryLabel(entry)}`);
+    }));
+    return proc;
+  }
+
   /**
    * @param {import('stream').Readable} stdin
    * @param {string} path JSONPath path into the input stream or data
    * @param {string} [data] literal data (overrides stdin)
+   * @param {'json'|'csv'|'tsv'} [format]
+   * @param {{ [header: string]: import('./util.mjs').ImportColumn }} [columns]
+   * properties by column header, for delimited formats
+   * @param {'mite'|'toggl'|'clockify'} [from] the system that the input was
+   * exported from
+   * @param {string} [miteAccount] the mite account name
    * @param {boolean} [dryRun] just echo some entries
+   * @param {string} [project] default project for the entries
    * @returns {Proc}
    */
-  importEntriesProc(stdin, { path, data, dryRun }) {
-    const echo = new DefaultFormat(this.getSession);
-    const proc = new JsonSinkProc(new Writable({
+  importEntriesProc(stdin, {
+    path, data, format = 'json', columns = {}, from, miteAccount, dryRun, project
+  }) {
+    const echo = new DefaultFormat(this.getSession, undefined, this.timeZone);
+    const adapter = importAdapter(from, miteAccount, this.timeZone);
+    /** @type {ImportCounts} */
+    const counts = { inserted: 0, updated: 0, skipped: 0 };
+    const sink = new Writable({
       objectMode: true,
       write: async (object, encoding, callback) => {
         try {
-          const entry = this.toEntry(object);
+          if (adapter != null)
+            object = adapter.import(object);
+          // Adapters may explicitly have no project
+          const entry = this.toEntry({ ...object, project: object.project ?? project });
           if (dryRun)
-            proc.emit('message', echo.entryDescription(entry));
+            proc.emit('message', await echo.entryDescription(entry));
           else
-            await this.addEntry(entry);
+            await this.addEntry(entry, counts, object.project?.external);
           callback();
         } catch (e) {
           callback(e);
         }
+      },
+      final: callback => {
+        if (!dryRun)
+          proc.emit('message', `Imported ${counts.inserted} new, ` +
+            `${counts.updated} updated and ${counts.skipped} unchanged entries.`);
+        callback();
       }
-    }), path, stdin, data);
+    });
+    const proc = format === 'json' ? new JsonSinkProc(sink, path, stdin, data) :
+      new CsvSinkProc(sink, { ...CSV_COLUMNS, ...columns },
+        stdin, data, format === 'tsv' ? '\t' : ',');
     return proc;
   }
 
@@ -309,8 +1391,409 @@ export default class TimesheetSession extends Repl {
     }
   }
 
+  start(opts) {
+    super.start(opts);
+    // Readline only takes a completer on creation, but calls this property
+    this.rl.completer = (line, callback) =>
+      this.complete(line).then(result => callback(null, result), callback);
+    // Show any timer left running from a previous session, and reminders
+    const { console = global.console } = opts ?? {};
+    this.refreshPrompt()
+      .then(() => this.remind(console))
+      .then(() => this.rl.prompt());
+    // Keep checking for forgotten timers while the session is open
+    this.reminderTimer = setInterval(() => this.remind(console).then(reminded => {
+      if (reminded)
+        this.rl.prompt(true); // Keeps any partially typed line
+    }), 60 * 1000);
+  }
+
+  /**
+   * Prints any due reminders, unless a command is executing
+   * @param {import('console').Console} console
+   * @returns {Promise<boolean>} whether any reminders were printed
+   */
+  async remind(console) {
+    if (this.executing || this.closing)
+      return false;
+    const reminders = await this.reminders().catch(() => []);
+    reminders.forEach(reminder => console.info(reminder));
+    return reminders.length > 0;
+  }
+
+  /**
+   * Finds this provider's running entries which are due a reminder, according
+   * to the configured reminder. Each entry is only reminded once.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<string[]>} reminder lines, if any are due
+   */
+  async reminders(now = new Date) {
+    const reminders = [], reminded = new Set;
+    if (this.reminder != null) {
+      for (let entry of await this.runningEntries()) {
+        const id = entry.toJSON()['@id'];
+        if (this.remindedEntries.has(id)) {
+          reminded.add(id);
+        } else if (this.reminderDue(entry, now)) {
+          reminders.push(`Reminder: ${this.entryLabel(entry)} has been running ` +
+            `for ${formatDuration(Math.round(durationFromInterval(entry.start, now)))}. ` +
+            'Use "stop" or "modify" if it should have ended.');
+          reminded.add(id);
+        }
+      }
+    }
+    // Forget entries which are no longer running
+    this.remindedEntries = reminded;
+    return reminders;
+  }
+
+  /**
+   * @param {Entry} entry a running entry
+   * @param {Date} now
+   * @returns {boolean} whether the entry has been running for longer than
+   * the configured reminder allows
+   */
+  reminderDue(entry, now) {
+    if ('after' in this.reminder) {
+      return durationFromInterval(entry.start, now) >= this.reminder.after;
+    } else {
+      // Due if a working day has ended since the entry started
+      return workingIntervals({
+        start: startOfUnit(entry.start, 'day', this.timeZone), end: now
+      }, this.workingHours, this.timeZone).some(({ end }) => end > entry.start && end < now);
+    }
+  }
+
+  /**
+   * Tab completion of the first argument of commands taking an activity or an
+   * entry selector, with activity names in order of most recent use; and of
+   * time range keywords for reporting commands.
+   *
+   * @param {string} line the line typed so far
+   * @returns {Promise<[string[], string]>} completions, and the text they replace
+   */
+  async complete(line) {
+    const { words: [command, ...args], partial, quote, text } = splitPartialLine(line);
+    const matching = (candidates, typed) => candidates.filter(candidate =>
+      candidate.toLowerCase().startsWith(typed.toLowerCase()));
+    if (command == null || partial.startsWith('-')) {
+      return [[], text];
+    } else if (args.length === 0 &&
+      (ACTIVITY_COMMANDS.includes(command) || SELECTOR_COMMANDS.includes(command))) {
+      const candidates = await this.recentActivities();
+      if (SELECTOR_COMMANDS.includes(command)) {
+        // An activity selector can be qualified with a time range
+        const activity = candidates.find(activity =>
+          partial.toLowerCase().startsWith(`${activity.toLowerCase()} `));
+        if (activity != null)
+          candidates.push(...RANGE_KEYWORDS.map(keyword => `${activity} ${keyword}`));
+        candidates.push('last', ...RANGE_KEYWORDS);
+      }
+      const hits = matching(candidates, partial).map(hit =>
+        quote != null || /\s/.test(hit) ? `${quote ?? '"'}${hit}${quote ?? '"'}` : hit);
+      return [hits, text];
+    } else if (RANGE_COMMANDS.includes(command) && quote == null &&
+      !args.some(arg => arg.startsWith('-'))) {
+      // Range selectors are variadic, so match all the words typed so far
+      const typed = [...args, partial].join(' ');
+      const hits = matching(RANGE_KEYWORDS, typed).map(hit =>
+        hit.slice(typed.length - partial.length));
+      return [hits, text];
+    }
+    return [[], text];
+  }
+
+  /**
+   * @returns {Promise<string[]>} distinct activity names in the timesheet, most
+   * recently used first
+   */
+  async recentActivities() {
+    const lastUsed = new Map;
+    for (let result of await this.meld.read({
+      '@select': ['?activity', '?start'],
+      '@where': { '@type': 'Entry', activity: '?activity', start: '?start' }
+    })) {
+      const activity = result['?activity'];
+      if (typeof activity == 'string') {
+        const start = propertyValue(result, '?start', Date);
+        if (!(lastUsed.get(activity) >= start))
+          lastUsed.set(activity, start);
+      }
+    }
+    return [...lastUsed.keys()].sort((a1, a2) => lastUsed.get(a2) - lastUsed.get(a1));
+  }
+
+  async execute(line, lineOut, lineErr) {
+    this.executing = true;
+    try {
+      return await super.execute(line, lineOut, lineErr);
+    } finally {
+      this.executing = false;
+      await this.refreshPrompt();
+    }
+  }
+
+  /**
+   * Updates the prompt to show the running activity, if any
+   * @returns {Promise<void>}
+   */
+  async refreshPrompt() {
+    if (this.rl != null && !this.closing) {
+      const [running] = await this.runningEntries().catch(() => []);
+      this.rl.setPrompt(running == null ? `${this.prompt} ` :
+        `${this.name} [${running.activity}, ${formatDuration(
+          Math.round(durationFromInterval(running.start, new Date)))}]> `);
+    }
+  }
+
+  /**
+   * Executes a single command line without prompting, for scripting. The clone
+   * is first given the chance to catch up with the timesheet; and afterwards,
+   * if the command changed the timesheet, to be connected to another clone
+   * (normally the gateway).
+   *
+   * Note that m-ld does not acknowledge receipt of changes, so being connected
+   * does not guarantee that another clone has received them before this one
+   * closes. Changes not received are shared when the timesheet is next opened.
+   *
+   * Without a gateway, there may be no other clone to wait for, so the clone
+   * is not synchronised.
+   *
+   * @param {string} line the command line, e.g. `add review 30m`
+   * @param {import('console').Console} console
+   * @param {number} timeout milliseconds to wait for each synchronisation
+   * @param {boolean} [sync] whether to synchronise, with a gateway
+   * @returns {Promise<number>} exit status: 0 for success, 1 if the command
+   * failed, or 2 if the timesheet changed but was not connected to another
+   * clone before the timeout
+   */
+  async executeOnce(line, { console, timeout, sync = true }) {
+    const { status } = this.meld;
+    if (sync && !await statusWithin(status.becomes({ online: true, outdated: false }), timeout))
+      console.error('Timesheet is offline, and may not be up to date.');
+    const ticks = status.value.ticks;
+    const proc = execute(line, this.cmdExecutor(console.log, console.error));
+    if (proc == null)
+      return 1; // Usage has already been output
+    const cleanup = [
+      this.toOut(proc.stdout, console.log),
+      this.toOut(proc.stderr, console.error)
+    ];
+    proc.on('message', console.log);
+    try {
+      await new Promise((resolve, reject) => proc.on('done', resolve).on('error', reject));
+    } catch (e) {
+      console.error(e);
+      return 1;
+    } finally {
+      cleanup.forEach(close => close());
+    }
+    if (sync && status.value.ticks !== ticks &&
+      !await statusWithin(status.becomes({ online: true, silo: false }), timeout)) {
+      console.error('Timed out waiting to connect. Changes are saved locally, ' +
+        'and will be shared when the timesheet is next opened.');
+      return 2;
+    }
+    return 0;
+  }
+
   async close() {
+    this.closing = true;
+    clearInterval(this.reminderTimer);
     await this.meld?.close();
-    await super.close();
+    if (this.rl != null)
+      await super.close();
+    else // Readline is not started for a one-shot command, see executeOnce
+      await this.childProcs.close();
+  }
+}
+
+/**
+ * @param {Promise<import('@m-ld/m-ld').MeldStatus | undefined>} becomes
+ * @param {number} timeout milliseconds
+ * @returns {Promise<boolean>} whether the status was reached in time
+ */
+async function statusWithin(becomes, timeout) {
+  let timer;
+  return Promise.race([
+    becomes.then(status => status != null),
+    new Promise(resolve => timer = setTimeout(resolve, timeout, false))
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @param {TimeRange} [range] if not specified, entries starting at any time
+ * @param {object} [properties] additional entry properties to match
+ * @returns {import('@m-ld/m-ld').Subject|import('@m-ld/m-ld').Group} where
+ * clause matching `?entry`
+ */
+function entriesStartingIn(range, properties = {}) {
+  const entry = { ...properties, '@id': '?entry', '@type': 'Entry' };
+  if (range == null)
+    return entry;
+  return {
+    '@graph': { ...entry, start: '?start' },
+    '@filter': {
+      '@and': [
+        { '@gte': ['?start', dateJsonLd(range.start)] },
+        { '@lt': ['?start', dateJsonLd(range.end)] }
+      ]
+    }
+  };
+}
+
+/**
+ * @param {string[]} [tags]
+ * @returns {object} entry properties to match, for {@link entriesStartingIn}
+ */
+function withTags(tags) {
+  return tags?.length ? { tag: tags } : {};
+}
+
+/**
+ * @param {'mite'|'toggl'|'clockify'} [from] the system that the input was
+ * exported from
+ * @param {string} [miteAccount] the mite account name
+ * @param {string} [timeZone] time zone of exported dates and times
+ * @returns {{ import: (src: object) => object } | null} adapter from the
+ * system's export format to entry properties, if required
+ */
+function importAdapter(from, miteAccount, timeZone) {
+  switch (from) {
+    case 'mite':
+      return new MiteFormat({ account_name: miteAccount, timeZone });
+    case 'toggl':
+      return new TogglFormat({ timeZone });
+    case 'clockify':
+      return new ClockifyFormat({ timeZone });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Commands and aliases whose first argument is an activity name
+ */
+const ACTIVITY_COMMANDS = ['add', 'a', '+', 'start', 'switch', 'sw'];
+
+/**
+ * Commands and aliases whose first argument is an entry selector
+ */
+const SELECTOR_COMMANDS = ['modify', 'mod', 'm', 'remove', 'rm'];
+
+/**
+ * Commands and aliases taking a time range selector
+ */
+const RANGE_COMMANDS = ['report', 'list', 'ls', 'summary', 'sum', 'gaps'];
+
+/**
+ * Time range keywords offered for tab completion of selectors
+ */
+const RANGE_KEYWORDS = [
+  'today', 'yesterday', 'this week', 'last week', 'this month', 'last month'
+];
+
+/**
+ * Entry properties accepted by {@link TimesheetSession#toEntry} for import
+ */
+const IMPORT_PROPERTIES = [
+  'activity', 'provider', 'start', 'duration', 'end', 'external',
+  'note', 'project', 'tag', 'billable', 'rate'
+];
+
+/**
+ * Column headers of the delimited report formats, which are not themselves
+ * entry properties; so that reports can be re-imported
+ */
+const CSV_COLUMNS = {
+  'duration (minutes)': { property: 'duration' },
+  'external id': { property: 'external' }
+};
+
+/**
+ * @param {TimeRange[]} intervals in order
+ * @param {TimeRange[]} covered intervals to remove, in any order
+ * @returns {TimeRange[]} what remains of the intervals, in order
+ */
+function subtractIntervals(intervals, covered) {
+  return covered.reduce((remaining, { start, end }) => remaining.flatMap(interval => {
+    if (start >= interval.end || end <= interval.start)
+      return [interval];
+    const rest = [];
+    if (start > interval.start)
+      rest.push({ start: interval.start, end: start });
+    if (end < interval.end)
+      rest.push({ start: end, end: interval.end });
+    return rest;
+  }), intervals);
+}
+
+/**
+ * @param {Entry} e1
+ * @param {Entry} e2
+ * @returns {boolean} whether the entries overlap in time, taking entries with
+ * no duration to be running until now
+ */
+function overlaps(e1, e2) {
+  const now = new Date;
+  return e1.start < (e2.end ?? now) && e2.start < (e1.end ?? now);
+}
+
+/**
+ * @param {import('@m-ld/m-ld').GraphSubject} src existing entry subject
+ * @param {Entry} entry entry with the same identity
+ * @returns {boolean} whether the entry would not change the subject
+ */
+function sameEntry(src, entry) {
+  const content = entry => {
+    const json = entry.toJSON();
+    json.tag = json.tag && [...json.tag].sort(); // Tags are unordered
+    return JSON.stringify(json);
+  };
+  try {
+    return content(Entry.fromJSON(src)) === content(entry);
+  } catch (e) {
+    return false; // Replace a malformed entry
+  }
+}
+
+/**
+ * Comparator for entry subjects by start time
+ * @param {import('@m-ld/m-ld').GraphSubject} src1
+ * @param {import('@m-ld/m-ld').GraphSubject} src2
+ * @returns {number}
+ */
+function byStart(src1, src2) {
+  return earliestStart(src1) - earliestStart(src2);
+}
+
+/**
+ * @param {import('@m-ld/m-ld').GraphSubject} src entry
+ * @returns {number} the entry start time, or the earliest if concurrent edits
+ * have left more than one
+ */
+function earliestStart(src) {
+  return Math.min(...propertyValue(src, 'start', Array, Date));
+}
+
+/**
+ * Concurrent edits can leave an entry with more than one start or duration.
+ * Replaces all such values with the given replacements, if any.
+ *
+ * @param {import('@m-ld/m-ld').GraphSubject} src entry
+ * @param {object} replacements values of `start` and/or `duration`
+ * @returns {import('@m-ld/m-ld').GraphSubject} the entry with single values
+ * @throws {string} if a property has more than one value and no replacement
+ */
+function resolveConcurrent(src, replacements) {
+  const resolved = { ...src };
+  for (let [property, option] of [['start', '--start'], ['duration', 'a duration']]) {
+    if (replacements[property] != null)
+      resolved[property] = replacements[property];
+    else if ([].concat(src[property] ?? []).length > 1)
+      throw `Entry ${src['@id']} has more than one ${property}, from concurrent edits. ` +
+      `Please give ${option} to replace them.`;
   }
+  return resolved;
 }
\ No newline at end of file
@@ -1,8 +1,8 @@
 import _humanizeDuration from 'humanize-duration';
 import _parseDuration from 'parse-duration';
-import { parseDate as _parseDate } from 'chrono-node';
+import { parse as _parseDates, parseDate as _parseDate } from 'chrono-node';
 import isURL from 'validator/lib/isURL.js';
-import { AccountOwnedId } from 'timeld-common';
+import { AccountOwnedId, fromWallClock, toWallClock } from 'timeld-common';
 
 /**
  * @param {number} duration in fractional minutes
@@ -39,18 +39,370 @@ export function durationFromInterval(start, end) {
 
 /**
  * @param {string | string[]} dateStr human date, can be an array of words
+ * @param {string} [timeZone] time zone for dates without an explicit zone;
+ * local if not specified
  * @returns {Date}
  */
-export function parseDate(dateStr) {
-  return _parseDate(Array.isArray(dateStr) ? dateStr.join(' ') : dateStr);
+export function parseDate(dateStr, timeZone) {
+  dateStr = Array.isArray(dateStr) ? dateStr.join(' ') : dateStr;
+  if (timeZone == null)
+    return _parseDate(dateStr);
+  const now = new Date;
+  const [result] = _parseDates(dateStr, shiftZone(now, timeZone, undefined));
+  if (result != null) {
+    if (!result.start.isCertain('timezoneOffset'))
+      return shiftZone(result.start.date(), undefined, timeZone);
+    // Relative to now, e.g. "2 hours ago", or naming a zone, e.g. "10am EST";
+    // neither depends on the local zone, so parse again without shifting
+    return _parseDate(dateStr, now);
+  }
+}
+
+/**
+ * The human date parser only understands the local time zone, so dates for
+ * another zone are parsed as the same wall-clock time locally, and shifted.
+ *
+ * @param {Date} date
+ * @param {string} [from] IANA time zone name; local if not specified
+ * @param {string} [to] IANA time zone name; local if not specified
+ * @returns {Date} the date with the same wall-clock time in the `to` zone as
+ * the given date has in the `from` zone
+ */
+function shiftZone(date, from, to) {
+  return from === to ? date : fromWallClock(toWallClock(date, from), to);
+}
+
+/**
+ * @typedef {object} TimeRange
+ * @property {Date} start inclusive start of the range
+ * @property {Date} end exclusive end of the range
+ */
+
+/**
+ * Units of time, coarsest first, used to expand a parsed date into a range
+ * @type {('year'|'month'|'week'|'day'|'hour')[]}
+ */
+const RANGE_UNITS = ['year', 'month', 'week', 'day', 'hour'];
+
+/**
+ * Parses a human time range, such as "today", "this week", "last month" or
+ * "2022-06-01..2022-06-15". A single date is expanded to cover the smallest
+ * unit of time that the user actually specified, e.g. "yesterday" covers the
+ * whole day.
+ *
+ * @param {string | string[]} rangeStr human time range, can be an array of words
+ * @param {Date} [ref] reference date for relative expressions
+ * @param {string} [timeZone] time zone for day boundaries; local if not specified
+ * @returns {TimeRange}
+ * @throws {RangeError} if not interpretable
+ */
+export function parseTimeRange(rangeStr, ref = new Date, timeZone = undefined) {
+  rangeStr = Array.isArray(rangeStr) ? rangeStr.join(' ') : `${rangeStr}`;
+  const results = _parseDates(rangeStr, shiftZone(ref, timeZone, undefined));
+  if (results.length === 0)
+    throw new RangeError(`Cannot interpret "${rangeStr}" as a time range`);
+  // Either an explicit range, e.g. "June 1 to June 15", or two dates
+  const first = results[0], last = results[results.length - 1];
+  const startUnit = rangeUnit(first.start, first.text);
+  const [endComponents, endText] = first.end != null ?
+    [first.end, first.text] : [last.start, last.text];
+  const endUnit = rangeUnit(endComponents, endText);
+  return {
+    start: shiftZone(startOfUnit(first.start.date(), startUnit), undefined, timeZone),
+    end: shiftZone(addUnit(startOfUnit(endComponents.date(), endUnit), endUnit),
+      undefined, timeZone)
+  };
+}
+
+/**
+ * @typedef {object} EntrySelector
+ * @property {string} [activity] the activity name, if specified
+ * @property {TimeRange} [range] the time range in which entries start
+ * @property {Date} [at] a time during the entry, if a time of day was specified
+ */
+
+/**
+ * Splits a human entry selector, such as "standup yesterday" or "work today
+ * 12pm", into an activity name and a time.
+ *
+ * @param {string} selectorStr
+ * @param {Date} [ref] reference date for relative expressions
+ * @param {string} [timeZone] time zone for day boundaries; local if not specified
+ * @returns {EntrySelector}
+ */
+export function parseEntrySelector(selectorStr, ref = new Date, timeZone = undefined) {
+  const results = _parseDates(selectorStr, shiftZone(ref, timeZone, undefined));
+  if (results.length === 0)
+    return { activity: selectorStr };
+  const activity = results
+    .reduce((rest, result) => rest.replace(result.text, ''), selectorStr)
+    .trim().replace(/\s+/g, ' ');
+  const [first] = results;
+  return {
+    activity: activity || undefined,
+    range: parseTimeRange(selectorStr, ref, timeZone),
+    at: first.start.isCertain('hour') ?
+      shiftZone(first.start.date(), undefined, timeZone) : undefined
+  };
+}
+
+/**
+ * @param {import('chrono-node').ParsedComponents} components
+ * @param {string} text the parsed text
+ * @returns {typeof RANGE_UNITS[number]} the finest unit specified
+ */
+function rangeUnit(components, text) {
+  if (components.isCertain('hour'))
+    return 'hour';
+  if (components.isCertain('day') || components.isCertain('weekday'))
+    return 'day';
+  if (/\bweek\b/i.test(text))
+    return 'week';
+  if (components.isCertain('month'))
+    return 'month';
+  if (components.isCertain('year'))
+    return 'year';
+  return 'day';
+}
+
+/**
+ * @param {Date} date
+ * @param {typeof RANGE_UNITS[number]} unit
+ * @param {string} [timeZone] IANA time zone name; local if not specified
+ * @returns {Date} the start of the unit containing the date, in the time zone
+ */
+export function startOfUnit(date, unit, timeZone) {
+  if (timeZone != null)
+    return shiftZone(startOfUnit(shiftZone(date, timeZone, undefined), unit),
+      undefined, timeZone);
+  const start = new Date(date);
+  start.setMinutes(0, 0, 0);
+  if (RANGE_UNITS.indexOf(unit) < RANGE_UNITS.indexOf('hour'))
+    start.setHours(0);
+  if (unit === 'week') // Weeks start on Sunday, as for chrono "this week"
+    start.setDate(start.getDate() - start.getDay());
+  if (unit === 'month' || unit === 'year')
+    start.setDate(1);
+  if (unit === 'year')
+    start.setMonth(0);
+  return start;
+}
+
+/**
+ * @param {Date} date
+ * @param {typeof RANGE_UNITS[number]} unit
+ * @param {number} [n]
+ * @returns {Date} the date plus the given number of units
+ */
+function addUnit(date, unit, n = 1) {
+  const added = new Date(date);
+  switch (unit) {
+    case 'year':
+      added.setFullYear(added.getFullYear() + n);
+      break;
+    case 'month':
+      added.setMonth(added.getMonth() + n);
+      break;
+    case 'week':
+      added.setDate(added.getDate() + 7 * n);
+      break;
+    case 'day':
+      added.setDate(added.getDate() + n);
+      break;
+    case 'hour':
+      added.setHours(added.getHours() + n);
+  }
+  return added;
+}
+
+/**
+ * @typedef {object} WorkingHours
+ * @property {number[]} days days of the week, with Sunday as 0
+ * @property {number} start minutes after midnight, local time
+ * @property {number} end minutes after midnight, local time
+ */
+
+export const DEFAULT_WORKING_HOURS = 'Mon-Fri 09:00-17:30';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Parses working hours, such as "Mon-Fri 09:00-17:30" or "Mon,Wed 9:00-13:00".
+ * A range of days can wrap around the week, e.g. "Sat-Sun".
+ *
+ * @param {string} hoursStr
+ * @returns {WorkingHours}
+ * @throws {RangeError} if not interpretable
+ */
+export function parseWorkingHours(hoursStr) {
+  const match = /^\s*([a-z,-]+)\s+(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})\s*$/i
+    .exec(`${hoursStr}`);
+  if (match == null)
+    throw new RangeError(`Cannot interpret "${hoursStr}" as working hours`);
+  const [, daysStr, ...times] = match;
+  const dayIndex = dayStr => {
+    const day = WEEKDAYS.indexOf(dayStr.slice(0, 3).toLowerCase());
+    if (day < 0)
+      throw new RangeError(`Cannot interpret "${dayStr}" as a day of the week`);
+    return day;
+  };
+  const days = new Set;
+  for (let dayRange of daysStr.split(',')) {
+    const [first, last = first] = dayRange.split('-').map(dayIndex);
+    for (let day = first; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === last)
+        break;
+    }
+  }
+  const [start, end] = [times.slice(0, 2), times.slice(2)]
+    .map(([hours, minutes]) => Number(hours) * 60 + Number(minutes));
+  if (!(start < end) || end > 24 * 60)
+    throw new RangeError(`Working hours "${hoursStr}" must end after they start`);
+  return { days: [...days].sort(), start, end };
+}
+
+/**
+ * @param {TimeRange} range
+ * @param {WorkingHours} workingHours
+ * @param {string} [timeZone] time zone of the working hours; local if not
+ * specified
+ * @returns {TimeRange[]} the working intervals in the range, in order
+ */
+export function workingIntervals(range, workingHours, timeZone) {
+  if (timeZone != null) {
+    return workingIntervals({
+      start: shiftZone(range.start, timeZone, undefined),
+      end: shiftZone(range.end, timeZone, undefined)
+    }, workingHours).map(({ start, end }) => ({
+      start: shiftZone(start, undefined, timeZone),
+      end: shiftZone(end, undefined, timeZone)
+    }));
+  }
+  const intervals = [];
+  for (let day = startOfUnit(range.start, 'day');
+       day < range.end; day = addUnit(day, 'day')) {
+    if (workingHours.days.includes(day.getDay())) {
+      const start = new Date(day), end = new Date(day);
+      start.setHours(0, workingHours.start);
+      end.setHours(0, workingHours.end);
+      if (start < range.end && end > range.start) {
+        intervals.push({
+          start: start < range.start ? range.start : start,
+          end: end > range.end ? range.end : end
+        });
+      }
+    }
+  }
+  return intervals;
+}
+
+/**
+ * When to remind about a running timer: after it has been running for a number
+ * of minutes, or once the working hours in which it was running have ended.
+ * @typedef {{ after: number } | { afterWorkingHours: true }} Reminder
+ */
+
+export const DEFAULT_REMINDER = '4h';
+
+/**
+ * @param {string} reminderStr a duration e.g. "4h", `end` for the end of
+ * working hours, or `none` for no reminders
+ * @returns {Reminder | undefined}
+ * @throws {RangeError} if not interpretable
+ */
+export function parseReminder(reminderStr) {
+  if (reminderStr == null || reminderStr === 'none')
+    return undefined;
+  if (reminderStr === 'end')
+    return { afterWorkingHours: true };
+  const after = parseDuration(reminderStr);
+  if (!(after > 0))
+    throw new RangeError(`Cannot interpret "${reminderStr}" as a reminder, ` +
+      'try e.g. "4h" or "end"');
+  return { after };
+}
+
+/**
+ * Extracts hashtags from an activity description, e.g. "fix login bug #acme"
+ * @param {string} activityStr activity, possibly including hashtags
+ * @returns {{ activity: string, tags: string[] }} the activity without its
+ * hashtags, and the tags without their leading hash
+ */
+export function parseTags(activityStr) {
+  const tags = [];
+  const activity = activityStr.replace(/(^|\s)#([^\s#]+)/g, (match, space, tag) => {
+    tags.push(tag);
+    return ' ';
+  }).replace(/\s+/g, ' ').trim();
+  return { activity, tags };
+}
+
+/**
+ * @typedef {object} PartialLine
+ * @property {string[]} words the complete words before the partial word,
+ * without quotes
+ * @property {string} partial the partial word being typed, without any
+ * opening quote
+ * @property {string} [quote] the opening quote of the partial word, if any
+ * @property {string} text the partial word as typed, including any quote
+ */
+
+/**
+ * Splits a command line that is being typed, for tab completion. Words may be
+ * quoted with single or double quotes.
+ *
+ * @param {string} line
+ * @returns {PartialLine}
+ */
+export function splitPartialLine(line) {
+  const words = [];
+  let word = null, quote, start = 0;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote != null && char === quote) {
+      quote = undefined;
+    } else if (quote == null && (char === '"' || char === '\'')) {
+      quote = char;
+      word ??= '';
+      if (word === '')
+        start = i;
+    } else if (quote == null && /\s/.test(char)) {
+      if (word != null)
+        words.push(word);
+      word = null;
+    } else {
+      if (word == null)
+        start = i;
+      word = (word ?? '') + char;
+    }
+  }
+  const text = word != null ? line.slice(start) : '';
+  return { words, partial: word ?? '', quote, text };
+}
+
+/**
+ * @param {number} revenue
+ * @returns {string} revenue to two decimal places, without currency
+ */
+export function formatRevenue(revenue) {
+  return revenue.toFixed(2);
 }
 
 /**
  * @param {Date} date
+ * @param {string} [timeZone] IANA time zone name; local if not specified
  * @returns {string} locale-formatted date
  */
-export function formatDate(date) {
-  return date.toLocaleString();
+export function formatDate(date, timeZone) {
+  return date.toLocaleString(undefined, { timeZone });
+}
+
+/**
+ * @param {string} projectId absolute or account-relative project IRI
+ * @returns {string} the project identity as `account/name`
+ */
+export function formatProject(projectId) {
+  return AccountOwnedId.fromIri(projectId).toRelativeIri();
 }
 
 /**
@@ -67,6 +419,71 @@ export function toDuration(value) {
   return value;
 }
 
+/**
+ * Convert just about any JSON value into an hourly rate
+ * @param {*} value
+ * @returns {number}
+ * @throws {RangeError} if not interpretable
+ */
+export function toRate(value) {
+  const rate = typeof value == 'string' ? Number(value) : value;
+  if (typeof rate != 'number' || isNaN(rate) || rate < 0)
+    throw new RangeError(`Cannot interpret ${value} as a rate`);
+  return rate;
+}
+
+/**
+ * Convert just about any JSON value into a boolean, including strings such as
+ * "false", "no" or "0" from spreadsheets
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function toBoolean(value) {
+  if (typeof value == 'string')
+    return !/^(false|no|n|0|)$/i.test(value.trim());
+  return !!value;
+}
+
+/**
+ * @typedef {object} ImportColumn
+ * @property {string} property entry property name
+ * @property {string} [unit] unit of durations given as plain numbers, e.g. `h`;
+ * otherwise minutes
+ */
+
+/**
+ * Parses a column mapping, such as "activity=Task,start=Date,duration=Hours:h"
+ * @param {string} columnsStr comma-separated `property=Header` pairs, with an
+ * optional `:unit` for a duration
+ * @returns {{ [header: string]: ImportColumn }} properties by column header
+ * @throws {RangeError} if not interpretable
+ */
+export function parseColumns(columnsStr) {
+  return Object.fromEntries(`${columnsStr}`.split(',').map(pair => {
+    const match = /^\s*([\w:]+)\s*=\s*(.*?)(?:\s*:\s*([a-z]+))?\s*$/i.exec(pair);
+    if (match == null || !match[2])
+      throw new RangeError(`Cannot interpret "${pair}" as property=Header`);
+    const [, property, header, unit] = match;
+    if (unit != null && (property !== 'duration' || _parseDuration(`1${unit}`) == null))
+      throw new RangeError(`Cannot interpret "${unit}" as a unit of ${property}`);
+    return [header, unit != null ? { property, unit } : { property }];
+  }));
+}
+
+/**
+ * Convert just about any JSON value into an array of tags
+ * @param {*} value a tag, or array of tags, with or without leading hashes
+ * @returns {string[]}
+ * @throws {RangeError} if not interpretable
+ */
+export function toTags(value) {
+  return [].concat(value ?? []).map(tag => {
+    if (typeof tag != 'string' || !tag)
+      throw new RangeError(`Cannot interpret ${tag} as a tag`);
+    return tag.replace(/^#/, '');
+  });
+}
+
 /**
  * Convert just about any JSON value into an IRI string
  * @param {*} id
@@ -87,16 +504,17 @@ export function toIri(id) {
 /**
  * Convert just about any JSON value into a Date
  * @param {*} value
+ * @param {string} [timeZone] time zone for dates without an explicit zone
  * @returns {Date}
  * @throws {RangeError} if not interpretable
  */
-export function toDate(value) {
+export function toDate(value, timeZone) {
   if (value instanceof Date)
     return value;
   else if (typeof value == 'string')
-    return toDate(parseDate(value)); // Parse may return null
+    return toDate(parseDate(value, timeZone)); // Parse may return null
   else if (value != null && typeof value == 'object')
-    return toDate(parseDate(value['@value'])); // Parse may return null
+    return toDate(parseDate(value['@value'], timeZone)); // Parse may return null
   else
     throw new RangeError(`Cannot interpret ${value} as a Date`);
 }
\ No newline at end of file
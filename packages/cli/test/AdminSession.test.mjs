@@ -3,7 +3,7 @@ import MockGateway from 'timeld-common/test/MockGateway.mjs';
 import Account from 'timeld-gateway/lib/Account.mjs';
 import AdminSession from '../lib/AdminSession.mjs';
 import { consume } from 'rx-flowable/consume';
-import { toBeISODateString } from 'timeld-common/test/fixtures.mjs';
+import { exampleEntryJson, toBeISODateString } from 'timeld-common/test/fixtures.mjs';
 
 expect.extend({ toBeISODateString });
 
@@ -96,6 +96,12 @@ describe('Administration session', () => {
         });
     });
 
+    test('Add project rate', async () => {
+      await session.execute('add project pr1 --rate 50', outLines, errLines);
+      await expect(gateway.domain.get('test/pr1'))
+        .resolves.toMatchObject({ '@id': 'test/pr1', 'rate': 50 });
+    });
+
     test('Add timesheet project link', async () => {
       await session.execute('add timesheet ts1', outLines, errLines);
       await session.execute('add project pr1', outLines, errLines);
@@ -132,6 +138,53 @@ describe('Administration session', () => {
       await session.execute('report org1/ts1', outLines, errLines);
       expect(outLines).toHaveBeenCalledWith('Timesheet org1/ts1');
     });
+
+    test('Reports entries as CSV', async () => {
+      gateway.report = jest.fn((account, name) => consume([
+        { '@id': `${account}/${name}`, '@type': 'Timesheet' },
+        exampleEntryJson(new Date('2022-05-06T10:24:22.139Z')),
+        { '@type': 'Total', duration: 60 }
+      ]));
+      await session.execute('report ts1 --format csv', outLines, errLines);
+      expect(outLines.mock.calls).toEqual([
+        ['id,activity,project,note,provider,start,end,duration (minutes),billable,rate,revenue,external id'],
+        ['session123/1,testing,,,test,2022-05-06T10:24:22.139Z,2022-05-06T11:24:22.139Z,60,true,,,'],
+        ['Total,,,,,,,60,,,,']
+      ]);
+    });
+
+    test('Reports entries in mite format', async () => {
+      gateway.report = jest.fn((account, name) => consume([
+        {
+          '@id': `${account}/${name}`, '@type': 'Project',
+          external: { '@id': 'https://acme.mite.yo.lk/projects/88309' }
+        },
+        exampleEntryJson(new Date('2022-05-06T10:24:22.139Z')),
+        { '@type': 'Total', duration: 60 }
+      ]));
+      await session.execute('report pr1 --format mite --mite-account acme', outLines, errLines);
+      expect(JSON.parse(outLines.mock.calls.join(''))).toEqual([{
+        time_entry: expect.objectContaining({
+          minutes: 60, note: 'testing', billable: true, project_id: 88309
+        })
+      }]);
+    });
+
+    test('Requires mite account for mite format', async () => {
+      gateway.report = jest.fn();
+      await session.execute('report pr1 --format mite', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/--mite-account/));
+      expect(gateway.report).not.toHaveBeenCalled();
+    });
+
+    test('Reports revenue total', async () => {
+      gateway.report = jest.fn((account, name) => consume([
+        { '@id': `${account}/${name}`, '@type': 'Project' },
+        { '@type': 'Total', duration: 90, revenue: 75 }
+      ]));
+      await session.execute('report pr1', outLines, errLines);
+      expect(outLines).toHaveBeenLastCalledWith('Total 1 hour, 30 minutes, revenue 75.00');
+    });
   });
 
   describe('with org account', () => {
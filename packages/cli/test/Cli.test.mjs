@@ -1,6 +1,10 @@
 import Cli from '../lib/Cli.mjs';
 import { Env } from 'timeld-common';
 import { describe, expect, jest, test } from '@jest/globals';
+import { clone } from '@m-ld/m-ld';
+import { MeldMemDown } from '@m-ld/m-ld/dist/memdown';
+import { DeadRemotes } from 'timeld-common/test/fixtures.mjs';
+import { fileSync } from 'tmp';
 
 describe('CLI', () => {
   let console;
@@ -36,4 +40,46 @@ describe('CLI', () => {
     expect(mockWrite).toHaveBeenCalledWith(
       { test: 'Tested', more: 'Written' })
   });
+
+  describe('exec', () => {
+    let env, exit;
+
+    beforeEach(() => {
+      env = new class extends Env {
+        readConfig = async () => ({
+          user: 'http://ex.org/alice', account: 'test', ably: { key: 'app.id:secret' }
+        });
+      }();
+      exit = jest.fn();
+    });
+
+    function execCli(...args) {
+      return new class extends Cli {
+        // Use an in-memory clone which cannot connect to anyone
+        createMeldClone = async config => ({
+          meld: await clone(new MeldMemDown(), DeadRemotes, config),
+          logFile: fileSync().name
+        });
+      }(env, {
+        args: ['exec', 'ts1', '--no-gateway', '--create', '--timeout', '0.1', ...args],
+        console, exit
+      }).start();
+    }
+
+    test('exits with success', async () => {
+      await execCli('--', 'report', '--format', 'json-ld');
+      expect(exit).toHaveBeenCalledWith(0);
+    });
+
+    test('exits with failure', async () => {
+      await execCli('modify', '1', '2h');
+      expect(exit).toHaveBeenCalledWith(1);
+    });
+
+    test('exits with local change without gateway', async () => {
+      await execCli('add', 'testing', '1h');
+      expect(exit).toHaveBeenCalledWith(0);
+      expect(logSpy).toHaveBeenCalledWith(expect.stringMatching(/#1: testing/));
+    });
+  });
 });
\ No newline at end of file
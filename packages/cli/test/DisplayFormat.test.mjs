@@ -1,6 +1,8 @@
 import { describe, expect, test } from '@jest/globals';
-import { Entry } from 'timeld-common';
-import { DefaultFormat } from '../lib/DisplayFormat.mjs';
+import { Entry, Rounding } from 'timeld-common';
+import {
+  DefaultFormat, getSubjectFormat, ICalendarFormat, SeparatedValuesFormat
+} from '../lib/DisplayFormat.mjs';
 import { exampleEntryJson } from 'timeld-common/test/fixtures.mjs';
 
 describe('Default Entry format', () => {
@@ -10,7 +12,220 @@ describe('Default Entry format', () => {
     expect(DefaultFormat.entryLabel(entry)).toMatch(
       `#1: testing (${start.toLocaleString()}, 1 hour)`);
   });
+
+  test('includes project in label', () => {
+    const start = new Date('2022-05-06T10:24:22.139Z');
+    const entry = Entry.fromJSON(exampleEntryJson(start));
+    entry.projectId = 'http://ex.org/acme/website';
+    expect(DefaultFormat.entryLabel(entry)).toMatch(
+      `#1: testing (${start.toLocaleString()}, 1 hour, project acme/website)`);
+  });
+
+  test('labels start in time zone', () => {
+    const start = new Date('2022-05-06T23:24:22.139Z');
+    const entry = Entry.fromJSON(exampleEntryJson(start));
+    expect(DefaultFormat.entryLabel(entry, { timeZone: 'Asia/Tokyo' })).toMatch(
+      `#1: testing (${start.toLocaleString(undefined, { timeZone: 'Asia/Tokyo' })}, 1 hour)`);
+  });
+
+  test('labels rounded duration', () => {
+    const start = new Date('2022-05-06T10:24:22.139Z');
+    const entry = Entry.fromJSON({ ...exampleEntryJson(start), duration: 50 });
+    expect(DefaultFormat.entryLabel(entry, { rounding: Rounding.parse('15m up') })).toMatch(
+      `#1: testing (${start.toLocaleString()}, ` +
+      '1 hour rounded up to 15 minutes per entry from 50 minutes)');
+    expect(DefaultFormat.entryLabel(entry, { rounding: Rounding.parse('15m up per day') }))
+      .toMatch('50 minutes)');
+  });
+
+  test('labels rounded total', async () => {
+    const format = new DefaultFormat(undefined, Rounding.parse('15m up per day'));
+    await format.stringify({ ...exampleEntryJson(new Date(2022, 4, 6, 10)), duration: 50 });
+    await format.stringify({ ...exampleEntryJson(new Date(2022, 4, 6, 11)), duration: 20 });
+    expect(await format.stringify({ '@type': 'Total', duration: 70 })).toBe(
+      'Total 1 hour, 10 minutes (1 hour, 15 minutes rounded up to 15 minutes per day)');
+  });
 });
 
+describe('Separated values format', () => {
+  test('has header row', () => {
+    expect(new SeparatedValuesFormat(',').opening).toBe(
+      'id,activity,project,note,provider,start,end,duration (minutes),' +
+      'billable,rate,revenue,external id\n');
+  });
 
+  test('formats entry as a row', () => {
+    const start = new Date('2022-05-06T10:24:22.139Z');
+    const entry = Entry.fromJSON(exampleEntryJson(start));
+    entry.activity = 'testing, "quoted"';
+    entry.note = 'line 1\nline 2';
+    entry.projectId = 'http://ex.org/acme/website';
+    entry.externalId = 'http://ex.org/entry/1';
+    expect(new SeparatedValuesFormat(',').stringify(entry.toJSON())).toBe(
+      'session123/1,"testing, ""quoted""",acme/website,"line 1\nline 2",test,' +
+      '2022-05-06T10:24:22.139Z,2022-05-06T11:24:22.139Z,60,true,,,http://ex.org/entry/1');
+    expect(new SeparatedValuesFormat('\t').stringify(entry.toJSON())).toBe(
+      'session123/1\t"testing, ""quoted"""\tacme/website\t"line 1\nline 2"\ttest\t' +
+      '2022-05-06T10:24:22.139Z\t' +
+      '2022-05-06T11:24:22.139Z\t60\ttrue\t\t\thttp://ex.org/entry/1');
+  });
+
+  test('formats entry revenue', () => {
+    const src = { ...exampleEntryJson(new Date('2022-05-06T10:24:22.139Z')), rate: 40 };
+    expect(new SeparatedValuesFormat(',').stringify(src))
+      .toMatch(/,60,true,40,40\.00,$/);
+    expect(new SeparatedValuesFormat(',').stringify({ ...src, billable: false }))
+      .toMatch(/,60,false,40,,$/);
+    // Revenue from the report takes precedence, e.g. using a project rate
+    expect(new SeparatedValuesFormat(',').stringify({ ...src, revenue: 45 }))
+      .toMatch(/,60,true,40,45\.00,$/);
+  });
+
+  test('formats entry revenue with project rate', () => {
+    const src = {
+      ...exampleEntryJson(new Date('2022-05-06T10:24:22.139Z')),
+      project: { '@id': 'http://ex.org/test/pr1' }
+    };
+    const format = new SeparatedValuesFormat(',', undefined, undefined,
+      new Map([['http://ex.org/test/pr1', 30]]));
+    expect(format.stringify(src)).toMatch(/,60,true,,30\.00,$/);
+    expect(format.stringify({ ...src, rate: 40 })).toMatch(/,60,true,40,40\.00,$/);
+  });
+
+  test('formats report total', () => {
+    expect(new SeparatedValuesFormat(',').stringify(
+      { '@type': 'Total', duration: 90, revenue: 75 })).toBe('Total,,,,,,,90,,,75.00,');
+  });
+
+  test('includes rounded durations', () => {
+    const format = new SeparatedValuesFormat(',', Rounding.parse('15m up'));
+    expect(format.opening).toBe(
+      'id,activity,project,note,provider,start,end,duration (minutes),' +
+      'rounded duration (minutes),billable,rate,revenue,external id\n');
+    const src = { ...exampleEntryJson(new Date('2022-05-06T10:24:22.139Z')), duration: 50 };
+    expect(format.stringify(src)).toMatch(/,50,60,true,,,$/);
+    expect(format.stringify({ '@type': 'Total', duration: 50 }))
+      .toBe('Total,,,,,,,50,60,,,,');
+  });
+
+  test('marks malformed entry', () => {
+    const src = exampleEntryJson(new Date('2022-05-06T10:24:22.139Z'));
+    delete src['vf:provider'];
+    expect(new SeparatedValuesFormat(',').stringify(src))
+      .toMatch(/^session123\/1,\*\*\* Malformed Entry: .+ \*\*\*,{10}$/);
+  });
 
+  test('omits non-entries', () => {
+    expect(new SeparatedValuesFormat(',').stringify(
+      { '@id': 'test/ts1', '@type': 'Timesheet' })).toBeNull();
+  });
+});
+
+describe('iCalendar format', () => {
+  const start = new Date('2022-05-06T10:24:22.139Z');
+
+  test('formats entry as an event', () => {
+    const src = exampleEntryJson(start);
+    src.activity = 'testing; more, testing';
+    expect(new ICalendarFormat().stringify(src)).toMatch(new RegExp([
+      'BEGIN:VEVENT',
+      'UID:session123/1',
+      'DTSTAMP:\\d{8}T\\d{6}Z',
+      'DTSTART:20220506T102422Z',
+      'DTEND:20220506T112422Z',
+      'SUMMARY:testing\\\\; more\\\\, testing',
+      'END:VEVENT'
+    ].join('\r\n') + '\r\n'));
+  });
+
+  test('includes note as description', () => {
+    const src = { ...exampleEntryJson(start), note: 'about; things' };
+    expect(new ICalendarFormat().stringify(src))
+      .toMatch('SUMMARY:testing\r\nDESCRIPTION:about\\; things\r\n');
+  });
+
+  test('includes entry without duration as zero-length', () => {
+    const src = exampleEntryJson(start);
+    delete src.duration;
+    expect(new ICalendarFormat().stringify(src))
+      .toMatch('DTEND:20220506T102422Z');
+    expect(new ICalendarFormat(true).stringify(src)).toBeNull();
+  });
+
+  test('omits malformed entry', () => {
+    const src = exampleEntryJson(start);
+    delete src['vf:provider'];
+    expect(new ICalendarFormat().stringify(src)).toBeNull();
+  });
+
+  test('folds long lines', () => {
+    const folded = ICalendarFormat.fold(`SUMMARY:${'x'.repeat(100)}`);
+    expect(folded.split('\r\n').map(line => line.length)).toEqual([75, 34, 0]);
+  });
+
+  test('folds long lines by octets', () => {
+    const summary = `SUMMARY:${'café ☕ 🙂 '.repeat(10)}`;
+    const folded = ICalendarFormat.fold(summary);
+    const lines = folded.split('\r\n');
+    expect(lines.pop()).toBe('');
+    expect(lines.length).toBeGreaterThan(2);
+    for (let line of lines) {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      // No character is split, which would not survive UTF-8 encoding
+      expect(Buffer.from(line).toString()).toBe(line);
+    }
+    expect(lines.map((line, i) => i > 0 ? line.slice(1) : line).join('')).toBe(summary);
+  });
+});
+
+describe('mite format', () => {
+  const start = new Date('2022-05-06T10:24:22.139Z');
+  const format = () => getSubjectFormat('mite', undefined, { miteAccount: 'acme' });
+
+  test('exports entry as a time entry', () => {
+    const src = {
+      ...exampleEntryJson(start),
+      note: 'about things',
+      rate: 40,
+      external: { '@id': 'https://acme.mite.yo.lk/time_entries/36159117' },
+      'vf:provider': { '@id': 'https://acme.mite.yo.lk/users/211' }
+    };
+    expect(JSON.parse(format().stringify(src))).toEqual({
+      time_entry: {
+        id: 36159117,
+        date_at: [start.getFullYear(), start.getMonth() + 1, start.getDate()]
+          .map(n => `${n}`.padStart(2, '0')).join('-'),
+        minutes: 60,
+        note: 'testing: about things',
+        billable: true,
+        hourly_rate: 4000,
+        user_id: 211
+      }
+    });
+  });
+
+  test('includes the reported project', () => {
+    const mite = format();
+    expect(mite.stringify({
+      '@id': 'test/pr1', '@type': 'Project',
+      external: { '@id': 'https://acme.mite.yo.lk/projects/88309' }
+    })).toBeNull();
+    expect(JSON.parse(mite.stringify(exampleEntryJson(start))).time_entry)
+      .toMatchObject({ project_id: 88309, note: 'testing' });
+  });
+
+  test('omits identities from other accounts', () => {
+    const src = {
+      ...exampleEntryJson(start),
+      external: { '@id': 'https://other.mite.yo.lk/time_entries/1' }
+    };
+    expect(JSON.parse(format().stringify(src)).time_entry.id).toBeUndefined();
+  });
+
+  test('omits running entries and other subjects', () => {
+    const src = exampleEntryJson(start);
+    delete src.duration;
+    expect(format().stringify(src)).toBeNull();
+    expect(format().stringify({ '@type': 'Total', duration: 60 })).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, expect, test } from '@jest/globals';
+import { Entry, Rounding } from 'timeld-common';
+import Summary from '../lib/Summary.mjs';
+
+describe('Entry summary', () => {
+  const entry = (activity, start, duration, tags, rate) => new Entry({
+    seqNo: '1', sessionId: 'session123', providerId: 'test',
+    activity, start, duration, tags, rate
+  });
+
+  test('totals with no grouping', () => {
+    const summary = new Summary([]);
+    summary.add(entry('testing', new Date(2022, 5, 1, 10), 60));
+    summary.add(entry('coding', new Date(2022, 5, 1, 12), 30));
+    expect(summary.lines()).toEqual(['Total  1 hour, 30 minutes']);
+  });
+
+  test('groups by day', () => {
+    const summary = new Summary(['day']);
+    summary.add(entry('testing', new Date(2022, 5, 2, 10), 60));
+    summary.add(entry('coding', new Date(2022, 5, 1, 12), 30));
+    summary.add(entry('running', new Date(2022, 5, 1, 14)));
+    expect(summary.lines()).toEqual([
+      '2022-06-01  30 minutes',
+      '2022-06-02  1 hour',
+      'Total       1 hour, 30 minutes'
+    ]);
+  });
+
+  test('groups by day in time zone', () => {
+    const summary = new Summary(['day'], undefined, 'America/New_York');
+    summary.add(entry('testing', new Date('2022-06-02T02:00:00Z'), 60));
+    summary.add(entry('coding', new Date('2022-06-02T14:00:00Z'), 30));
+    expect(summary.lines()).toEqual([
+      '2022-06-01  1 hour',
+      '2022-06-02  30 minutes',
+      'Total       1 hour, 30 minutes'
+    ]);
+  });
+
+  test('nests groups with subtotals', () => {
+    const summary = new Summary(['week', 'activity']);
+    summary.add(entry('testing', new Date(2022, 5, 1, 10), 60));
+    summary.add(entry('coding', new Date(2022, 5, 2, 12), 30));
+    summary.add(entry('testing', new Date(2022, 5, 3, 10), 60));
+    expect(summary.lines()).toEqual([
+      'Week of 2022-05-29  2 hours, 30 minutes',
+      '  coding            30 minutes',
+      '  testing           2 hours',
+      'Total               2 hours, 30 minutes'
+    ]);
+  });
+
+  test('groups by each tag', () => {
+    const summary = new Summary(['tag']);
+    summary.add(entry('testing', new Date(2022, 5, 1, 10), 60, ['acme', 'billable']));
+    summary.add(entry('coding', new Date(2022, 5, 2, 12), 30, ['acme']));
+    summary.add(entry('admin', new Date(2022, 5, 3, 10), 15));
+    expect(summary.lines()).toEqual([
+      '#acme       1 hour, 30 minutes',
+      '#billable   1 hour',
+      '(untagged)  15 minutes',
+      'Total       1 hour, 45 minutes'
+    ]);
+  });
+
+  test('totals revenue', () => {
+    const summary = new Summary(['activity']);
+    summary.add(entry('testing', new Date(2022, 5, 1, 10), 60, [], 50));
+    summary.add(entry('coding', new Date(2022, 5, 2, 12), 30));
+    expect(summary.lines()).toEqual([
+      'coding   30 minutes          0.00',
+      'testing  1 hour              50.00',
+      'Total    1 hour, 30 minutes  50.00'
+    ]);
+  });
+
+  test('shows rounded durations per entry', () => {
+    const summary = new Summary(['activity'], Rounding.parse('15m up'));
+    summary.add(entry('testing', new Date(2022, 5, 1, 10), 50));
+    summary.add(entry('coding', new Date(2022, 5, 1, 12), 10));
+    summary.add(entry('coding', new Date(2022, 5, 2, 12), 10));
+    expect(summary.lines()).toEqual([
+      'coding   20 minutes          30 minutes*',
+      'testing  50 minutes          1 hour*',
+      'Total    1 hour, 10 minutes  1 hour, 30 minutes*',
+      '* rounded up to 15 minutes per entry'
+    ]);
+  });
+
+  test('shows rounded durations per day', () => {
+    const summary = new Summary(['activity'], Rounding.parse('15m up per day'));
+    summary.add(entry('testing', new Date(2022, 5, 1, 10), 50));
+    summary.add(entry('coding', new Date(2022, 5, 1, 12), 10));
+    summary.add(entry('coding', new Date(2022, 5, 2, 12), 10));
+    expect(summary.lines()).toEqual([
+      'coding   20 minutes          30 minutes*',
+      'testing  50 minutes          1 hour*',
+      'Total    1 hour, 10 minutes  1 hour, 15 minutes*',
+      '* rounded up to 15 minutes per day'
+    ]);
+  });
+});
@@ -1,10 +1,14 @@
 import { describe, expect, jest, test } from '@jest/globals';
-import { DeadRemotes, toBeISODateString } from 'timeld-common/test/fixtures.mjs';
+import {
+  DeadRemotes, exampleEntryJson, toBeISODateString
+} from 'timeld-common/test/fixtures.mjs';
 import { clone, uuid } from '@m-ld/m-ld';
 import { MeldMemDown } from '@m-ld/m-ld/dist/memdown';
 import TimesheetSession from '../lib/TimesheetSession.mjs';
 import { fileSync } from 'tmp';
 import { writeFileSync } from 'fs';
+import { parseTimeRange } from '../lib/util.mjs';
+import { dateJsonLd, Rounding } from 'timeld-common';
 
 expect.extend({ toBeISODateString });
 
@@ -14,6 +18,7 @@ function tmpFile() {
 }
 
 describe('CLI Session', () => {
+  const domain = 'test.testing.timeld.org';
   let /**@type string*/id;
   let /**@type import('@m-ld/m-ld').MeldClone*/meld;
   let /**@type import('tmp').FileSyncObject*/logFile;
@@ -23,11 +28,11 @@ describe('CLI Session', () => {
     id = uuid();
     // noinspection JSCheckFunctionSignatures
     meld = await clone(new MeldMemDown(), DeadRemotes, {
-      '@id': id, '@domain': 'test.testing.timeld.org', genesis: true
+      '@id': id, '@domain': domain, genesis: true
     });
     logFile = tmpFile();
     session = new TimesheetSession({
-      id, timesheet: 'test', providerId: 'alice',
+      id, timesheet: 'test', domain, providerId: 'alice',
       logLevel: 'DEBUG', logFile: logFile.name, meld
     });
   });
@@ -67,6 +72,62 @@ describe('CLI Session', () => {
     expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/#1: testing/));
   });
 
+  test('add entry records time zone', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add testing 1h', outLines, errLines);
+    await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+      timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    });
+  });
+
+  test('add entry in time zone', async () => {
+    session = new TimesheetSession({
+      id, timesheet: 'test', domain, providerId: 'alice', timeZone: 'Asia/Tokyo',
+      logLevel: 'DEBUG', logFile: logFile.name, meld
+    });
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add testing 1h --start 2022-06-08 08:00', outLines, errLines);
+    await expect(meld.get(id)).resolves.toMatchObject({ timeZone: 'Asia/Tokyo' });
+    await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+      start: { '@value': '2022-06-07T23:00:00.000Z' },
+      timeZone: 'Asia/Tokyo'
+    });
+    outLines.mockReset();
+    await session.execute('summary 2022-06-08', outLines, errLines);
+    expect(outLines.mock.calls).toEqual([
+      [expect.stringMatching(/^2022-06-08\s+1 hour$/)],
+      [expect.stringMatching(/^Total\s+1 hour$/)]
+    ]);
+  });
+
+  test('add entry now in time zone', async () => {
+    session = new TimesheetSession({
+      id, timesheet: 'test', domain, providerId: 'alice', timeZone: 'America/New_York',
+      logLevel: 'DEBUG', logFile: logFile.name, meld
+    });
+    await session.execute('add testing 1h', jest.fn(), jest.fn());
+    const { start } = await meld.get(`${id}/1`);
+    expect(new Date(start['@value']).getTime()).toBeCloseTo(Date.now(), -4);
+  });
+
+  test('rejects unknown time zone', () => {
+    expect(() => new TimesheetSession({
+      id, timesheet: 'test', domain, providerId: 'alice', timeZone: 'Mars/Olympus',
+      logLevel: 'DEBUG', logFile: logFile.name, meld
+    })).toThrow(RangeError);
+  });
+
+  test('add entry with hashtags', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add "fix login bug #acme #billable" 1h', outLines, errLines);
+    await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+      ...expectEntry('fix login bug', 60),
+      tag: expect.arrayContaining(['acme', 'billable'])
+    });
+    expect(outLines).toHaveBeenCalledWith(
+      expect.stringMatching(/#1: fix login bug #acme #billable/));
+  });
+
   test('add entry with start', async () => {
     const outLines = jest.fn(), errLines = jest.fn();
     await session.execute('add testing 1m --start 12pm', outLines, errLines);
@@ -101,12 +162,661 @@ describe('CLI Session', () => {
       .resolves.toMatchObject(expectEntry('testing', 120));
   });
 
+  test('add and modify entry note', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add standup 15m --note "discussed release"', outLines, errLines);
+    await expect(meld.get(`${id}/1`))
+      .resolves.toMatchObject({ ...expectEntry('standup', 15), note: 'discussed release' });
+    await session.execute('modify standup --note "discussed demo"', outLines, errLines);
+    outLines.mockReset();
+    await session.execute('list', outLines, errLines);
+    expect(outLines).toHaveBeenCalledWith(
+      expect.stringMatching(/^Entry #1: standup.* - discussed demo$/));
+  });
+
+  test('add entry with billing', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add testing 1h --rate 50', outLines, errLines);
+    await session.execute('add admin 1h --no-billable', outLines, errLines);
+    await expect(meld.get(`${id}/1`)).resolves.toMatchObject({ rate: 50 });
+    await expect(meld.get(`${id}/2`)).resolves.toMatchObject({ billable: false });
+    expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/#2: admin.*not billable/));
+  });
+
+  test('modify entry billing', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add testing 1h', outLines, errLines);
+    await session.execute('modify 1 --rate 40 --no-billable', outLines, errLines);
+    await expect(meld.get(`${id}/1`))
+      .resolves.toMatchObject({ ...expectEntry('testing', 60), rate: 40, billable: false });
+  });
+
+  describe('projects', () => {
+    beforeEach(async () => {
+      // Linked projects are written to the timesheet by the gateway
+      await meld.write({
+        '@id': 'http://ex.org/test/ts1',
+        '@type': 'Timesheet',
+        project: [{ '@id': 'http://ex.org/acme/website' }, { '@id': 'http://ex.org/acme/app' }]
+      });
+    });
+
+    test('add entry for project', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h --project website', outLines, errLines);
+      await session.execute('add coding 1h --project acme/app', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+        ...expectEntry('testing', 60), project: { '@id': 'http://ex.org/acme/website' }
+      });
+      await expect(meld.get(`${id}/2`)).resolves.toMatchObject({
+        ...expectEntry('coding', 60), project: { '@id': 'http://ex.org/acme/app' }
+      });
+      expect(outLines).toHaveBeenCalledWith(
+        expect.stringMatching(/#1: testing.*project acme\/website/));
+    });
+
+    test('summarise revenue with project rate', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      // Project default rates are written to the timesheet by the gateway
+      await meld.write({ '@id': 'http://ex.org/acme/website', '@type': 'Project', rate: 40 });
+      await session.execute('add testing 1h --project website', outLines, errLines);
+      await session.execute('add coding 30m --project app', outLines, errLines);
+      await session.execute('add admin 30m --project website --rate 60', outLines, errLines);
+      outLines.mockReset();
+      await session.execute('summary --group-by activity', outLines, errLines);
+      expect(outLines.mock.calls).toEqual([
+        [expect.stringMatching(/^admin\s+30 minutes\s+30\.00$/)],
+        [expect.stringMatching(/^coding\s+30 minutes\s+0\.00$/)],
+        [expect.stringMatching(/^testing\s+1 hour\s+40\.00$/)],
+        [expect.stringMatching(/^Total\s+2 hours\s+70\.00$/)]
+      ]);
+      outLines.mockReset();
+      await session.execute('report --format csv', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/,testing,.*,60,true,,40\.00,$/));
+      outLines.mockReset();
+      await session.execute('report', outLines, errLines);
+      expect(outLines).toHaveBeenLastCalledWith('Total 2 hours, revenue 70.00');
+    });
+
+    test('rejects unlinked project', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await expect(session.execute('add testing 1h --project other', outLines, errLines))
+        .rejects.toMatch(/not linked.*\n.*acme\/website/);
+      await expect(meld.get(`${id}/1`)).resolves.toBeUndefined();
+    });
+
+    test('modify entry project', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h', outLines, errLines);
+      await session.execute('modify 1 --project app', outLines, errLines);
+      await expect(meld.get(`${id}/1`))
+        .resolves.toMatchObject({ project: { '@id': 'http://ex.org/acme/app' } });
+      await session.execute('modify 1 --project ""', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.not.toHaveProperty('project');
+    });
+
+    test('import entries for project', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      const file = tmpFile();
+      writeFileSync(file.name, JSON.stringify([
+        { 'activity': 'testing1', 'start': 'now' },
+        { 'activity': 'testing2', 'start': 'now', 'project': 'acme/app' }
+      ]));
+      await session.execute(`${file.name} > import --project website`, outLines, errLines);
+      await expect(meld.get(`${id}/1`))
+        .resolves.toMatchObject({ project: { '@id': 'http://ex.org/acme/website' } });
+      await expect(meld.get(`${id}/2`))
+        .resolves.toMatchObject({ project: { '@id': 'http://ex.org/acme/app' } });
+    });
+
+    test('start timer for project', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('start testing --project website', outLines, errLines);
+      await expect(meld.get(`${id}/1`))
+        .resolves.toMatchObject({ project: { '@id': 'http://ex.org/acme/website' } });
+    });
+  });
+
+  test('modify entry by activity and date', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add standup 15m --start yesterday 9am', outLines, errLines);
+    await session.execute('add standup 15m', outLines, errLines);
+    await session.execute('modify "standup yesterday" 30m', outLines, errLines);
+    await expect(meld.get(`${id}/1`)).resolves.toMatchObject({ duration: 30 });
+    await expect(meld.get(`${id}/2`)).resolves.toMatchObject({ duration: 15 });
+  });
+
+  test('modify entry by date-time', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add work 2h --start yesterday 11am', outLines, errLines);
+    await session.execute('add work 2h --start yesterday 2pm', outLines, errLines);
+    await session.execute('modify "work yesterday 12pm" 1h', outLines, errLines);
+    await expect(meld.get(`${id}/1`)).resolves.toMatchObject({ duration: 60 });
+    await expect(meld.get(`${id}/2`)).resolves.toMatchObject({ duration: 120 });
+  });
+
+  test('modify entry by date-time skips malformed entries', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add work 2h --start yesterday 11am', outLines, errLines);
+    const { start } = await meld.get(`${id}/1`);
+    // Missing a provider
+    await meld.write({ '@id': 'other/1', '@type': 'Entry', activity: 'work', start });
+    await session.execute('modify "work yesterday 12pm" --note hi', outLines, errLines);
+    await expect(meld.get(`${id}/1`)).resolves.toMatchObject({ note: 'hi' });
+  });
+
+  test('modify last entry', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add testing 1h', outLines, errLines);
+    await session.execute('add testing 1h --start 1 day ago', outLines, errLines);
+    await session.execute('modify last 2h', outLines, errLines);
+    await expect(meld.get(`${id}/1`)).resolves.toMatchObject({ duration: 120 });
+    await expect(meld.get(`${id}/2`)).resolves.toMatchObject({ duration: 60 });
+  });
+
+  test('modify rejects ambiguous selector', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add testing 1h', outLines, errLines);
+    await session.execute('add testing 1h --start 1 day ago', outLines, errLines);
+    await expect(session.execute('modify testing 2h', outLines, errLines))
+      .rejects.toMatch(/more than one entry:\n#2: testing.*\n#1: testing/);
+    await expect(meld.get(`${id}/1`)).resolves.toMatchObject({ duration: 60 });
+  });
+
   test('list one entry', async () => {
     const outLines = jest.fn(), errLines = jest.fn();
     await session.execute('add testing 1h', outLines, errLines);
     await session.execute('list', outLines, errLines);
-    expect(outLines).toHaveBeenLastCalledWith(expect.stringMatching(
+    expect(outLines).toHaveBeenCalledWith(expect.stringMatching(
       /Entry #1: testing/));
+    expect(outLines).toHaveBeenLastCalledWith('Total 1 hour');
+  });
+
+  test('list selects entries by time range', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add today 1h', outLines, errLines);
+    await session.execute('add earlier 1h --start 3 days ago', outLines, errLines);
+    outLines.mockReset();
+    await session.execute('list', outLines, errLines);
+    expect(outLines).toHaveBeenCalledTimes(2); // Including the total
+    expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/Entry #1: today/));
+    outLines.mockReset();
+    await session.execute('list 4 days ago..yesterday', outLines, errLines);
+    expect(outLines).toHaveBeenCalledTimes(2);
+    expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/Entry #2: earlier/));
+  });
+
+  test('list selects entries by tag', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add "testing #acme" 1h', outLines, errLines);
+    await session.execute('add "coding #acme #billable" 1h', outLines, errLines);
+    outLines.mockReset();
+    await session.execute('list --tag acme billable', outLines, errLines);
+    expect(outLines).toHaveBeenCalledTimes(2); // Including the total
+    expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/Entry #2: coding/));
+    outLines.mockReset();
+    await session.execute('list --tag acme', outLines, errLines);
+    expect(outLines).toHaveBeenCalledTimes(3);
+  });
+
+  test('follow entries', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add testing 1h', outLines, errLines);
+    const proc = session.reportEntriesProc({
+      selector: parseTimeRange('today'), format: 'default', follow: true
+    });
+    const output = [];
+    proc.stdout.on('data', data => output.push(`${data}`));
+    const nextOutput = async () => {
+      while (!output.length)
+        await new Promise(resolve => proc.stdout.once('data', resolve));
+      return output.shift();
+    };
+    await expect(nextOutput()).resolves.toMatch(/^Entry #1: testing.*\(in This session\)\n$/);
+    // Another session
+    await meld.write({
+      '@graph': [
+        { ...exampleEntryJson(), '@id': 'other/1', activity: 'other', session: { '@id': 'other' } },
+        { '@id': 'other', '@type': 'Session', start: dateJsonLd(new Date) }
+      ]
+    });
+    await expect(nextOutput()).resolves.toMatch(/^Added Entry #1: other.*\(in Session just now\)\n$/);
+    // Malformed entry, with concurrent starts, is skipped
+    await meld.write({
+      ...exampleEntryJson(), '@id': 'other/2', session: { '@id': 'other' },
+      start: [dateJsonLd(new Date), dateJsonLd(new Date(Date.now() - 60000))]
+    });
+    await session.execute('modify 1 2h', outLines, errLines);
+    await expect(nextOutput()).resolves.toMatch(/^Modified Entry #1: testing.*2 hours/);
+    await session.execute('rm 1', outLines, errLines);
+    await expect(nextOutput()).resolves.toMatch(/^Removed Entry #1: testing/);
+    proc.stop();
+    await proc.done;
+  });
+
+  test('summarise entries', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add testing 1h', outLines, errLines);
+    await session.execute('add coding 30m', outLines, errLines);
+    await session.execute('add testing 1h', outLines, errLines);
+    outLines.mockReset();
+    await session.execute('summary --group-by activity', outLines, errLines);
+    expect(outLines.mock.calls).toEqual([
+      [expect.stringMatching(/^coding\s+30 minutes$/)],
+      [expect.stringMatching(/^testing\s+2 hours$/)],
+      [expect.stringMatching(/^Total\s+2 hours, 30 minutes$/)]
+    ]);
+  });
+
+  test('summarise entry revenue', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add testing 1h --rate 50', outLines, errLines);
+    await session.execute('add coding 30m --rate 50', outLines, errLines);
+    outLines.mockReset();
+    await session.execute('summary --group-by activity', outLines, errLines);
+    expect(outLines.mock.calls).toEqual([
+      [expect.stringMatching(/^coding\s+30 minutes\s+25\.00$/)],
+      [expect.stringMatching(/^testing\s+1 hour\s+50\.00$/)],
+      [expect.stringMatching(/^Total\s+1 hour, 30 minutes\s+75\.00$/)]
+    ]);
+  });
+
+  test('summarise entries by tag', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add "testing #acme" 1h', outLines, errLines);
+    await session.execute('add "coding #other" 30m', outLines, errLines);
+    outLines.mockReset();
+    await session.execute('summary --tag acme --group-by tag', outLines, errLines);
+    expect(outLines.mock.calls).toEqual([
+      [expect.stringMatching(/^#acme\s+1 hour$/)],
+      [expect.stringMatching(/^Total\s+1 hour$/)]
+    ]);
+  });
+
+  test('summarise rounded entries', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    await session.execute('add testing 50m', outLines, errLines);
+    outLines.mockReset();
+    await session.execute('summary --group-by activity --round "15m up"', outLines, errLines);
+    expect(outLines.mock.calls).toEqual([
+      [expect.stringMatching(/^testing\s+50 minutes\s+1 hour\*$/)],
+      [expect.stringMatching(/^Total\s+50 minutes\s+1 hour\*$/)],
+      ['* rounded up to 15 minutes per entry']
+    ]);
+  });
+
+  test('summarise with default rounding', async () => {
+    const outLines = jest.fn(), errLines = jest.fn();
+    session.rounding = Rounding.parse('15m up');
+    await session.execute('add testing 50m', outLines, errLines);
+    outLines.mockReset();
+    await session.execute('summary --group-by activity', outLines, errLines);
+    expect(outLines).toHaveBeenCalledWith(
+      expect.stringMatching(/^Total\s+50 minutes\s+1 hour\*$/));
+    outLines.mockReset();
+    await session.execute('summary --group-by activity --round none', outLines, errLines);
+    expect(outLines.mock.calls).toEqual([
+      [expect.stringMatching(/^testing\s+50 minutes$/)],
+      [expect.stringMatching(/^Total\s+50 minutes$/)]
+    ]);
+  });
+
+  describe('timesheet rounding', () => {
+    beforeEach(() => {
+      session.rounding = Rounding.parse('15m up');
+    });
+
+    test('shows the default if not set', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('rounding', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith('This timesheet has no rounding setting. ' +
+        'Your reports are rounded up to 15 minutes per entry.');
+    });
+
+    test('overrides the default', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('rounding 30m down per day', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(
+        'Reports of this timesheet are rounded down to 30 minutes per day.');
+      await expect(meld.get('http://timeld.org/testing/test')).resolves.toMatchObject({
+        '@type': 'Timesheet', rounding: '30m down per day'
+      });
+      await session.execute('add testing 50m', outLines, errLines);
+      outLines.mockReset();
+      await session.execute('summary --group-by activity', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(
+        expect.stringMatching(/^Total\s+50 minutes\s+30 minutes\*$/));
+      outLines.mockReset();
+      await session.execute('summary --group-by activity --round 1h', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(
+        expect.stringMatching(/^Total\s+50 minutes\s+1 hour\*$/));
+    });
+
+    test('switches off rounding for the timesheet', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('rounding none', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith('Reports of this timesheet are not rounded.');
+      await session.execute('add testing 50m', outLines, errLines);
+      outLines.mockReset();
+      await session.execute('summary --group-by activity', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/^Total\s+50 minutes$/));
+    });
+
+    test('clears the setting', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('rounding 30m', outLines, errLines);
+      await session.execute('rounding --clear', outLines, errLines);
+      expect(outLines).toHaveBeenLastCalledWith('This timesheet has no rounding setting. ' +
+        'Your reports are rounded up to 15 minutes per entry.');
+      await session.execute('add testing 50m', outLines, errLines);
+      outLines.mockReset();
+      await session.execute('report --format csv', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(expect.stringContaining(',50,60,'));
+    });
+
+    test('rejects a bad rule', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('rounding sometimes', outLines, errLines);
+      expect(outLines).toHaveBeenLastCalledWith(expect.stringMatching(/"sometimes"/));
+      await expect(session.getTimesheetRounding()).resolves.toBeUndefined();
+    });
+  });
+
+  describe('gaps', () => {
+    test('lists gaps in working hours', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 7h --start 2022-06-06 10:00', outLines, errLines);
+      await session.execute('add coding 30m --start 2022-06-07 09:00', outLines, errLines);
+      outLines.mockReset();
+      await session.execute('gaps 2022-06-06..2022-06-07', outLines, errLines);
+      const gapLine = (n, start, end, duration) => [
+        `Gap ${n}: ${start.toLocaleString()} to ${end.toLocaleString()} (${duration})`
+      ];
+      expect(outLines.mock.calls).toEqual([
+        gapLine(1, new Date(2022, 5, 6, 9), new Date(2022, 5, 6, 10), '1 hour'),
+        gapLine(2, new Date(2022, 5, 6, 17), new Date(2022, 5, 6, 17, 30), '30 minutes'),
+        gapLine(3, new Date(2022, 5, 7, 9, 30), new Date(2022, 5, 7, 17, 30), '8 hours'),
+        ['Use "add <activity> --gap <number>" to fill a gap.']
+      ]);
+    });
+
+    test('uses configured working hours', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      session = new TimesheetSession({
+        id, timesheet: 'test', domain, providerId: 'alice', workingHours: 'Sun 10:00-11:00',
+        logLevel: 'DEBUG', logFile: logFile.name, meld
+      });
+      await session.execute('gaps 2022-06-05..2022-06-07', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(
+        expect.stringMatching(/^Gap 1: .* \(1 hour\)$/));
+      expect(outLines).not.toHaveBeenCalledWith(expect.stringMatching(/^Gap 2/));
+    });
+
+    test('no gaps', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 8.5h --start 2022-06-06 09:00', outLines, errLines);
+      outLines.mockReset();
+      await session.execute('gaps 2022-06-06', outLines, errLines);
+      expect(outLines.mock.calls).toEqual([['No gaps found.']]);
+    });
+
+    test('fills a gap', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 7h --start 2022-06-06 10:00', outLines, errLines);
+      await session.execute('gaps 2022-06-06', outLines, errLines);
+      await session.execute('add admin --gap 2', outLines, errLines);
+      await expect(meld.get(`${id}/2`)).resolves.toMatchObject(
+        expectEntry('admin', 30, new Date(2022, 5, 6, 17).getTime()));
+      await expect(session.execute('add admin --gap 3', outLines, errLines))
+        .rejects.toMatch(/no gap #3/);
+    });
+  });
+
+  describe('sessions', () => {
+    test('records provider and client in session', async () => {
+      await session.execute('add testing 1h', jest.fn(), jest.fn());
+      await expect(meld.get(id)).resolves.toMatchObject({
+        'vf:provider': { '@id': 'alice' },
+        client: expect.stringMatching(/^timeld-cli on /)
+      });
+    });
+
+    test('lists sessions with entry totals', async () => {
+      await session.execute('add testing 1h', jest.fn(), jest.fn());
+      await session.execute('add coding 30m', jest.fn(), jest.fn());
+      await meld.write({
+        '@id': 'other', '@type': 'Session', start: dateJsonLd(new Date(2022, 5, 1))
+      });
+      await meld.write({ ...exampleEntryJson(new Date(2022, 5, 1)), session: { '@id': 'other' } });
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('sessions', outLines, errLines);
+      expect(outLines.mock.calls).toEqual([
+        [expect.stringMatching(
+          /^Session other: started .*2022.* by test, 1 entry totalling 1 hour$/)],
+        [expect.stringMatching(new RegExp(`^Session ${id} \\(this session\\): .* by alice ` +
+          'using timeld-cli on .*, 2 entries totalling 1 hour, 30 minutes$'))]
+      ]);
+    });
+
+    test('reports entries in a session', async () => {
+      await session.execute('add testing 1h', jest.fn(), jest.fn());
+      await meld.write({ ...exampleEntryJson(new Date(2022, 5, 1)), session: { '@id': 'other' } });
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('report --session other', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/^Entry #1: testing.*2022/));
+      expect(outLines).not.toHaveBeenCalledWith(expect.stringMatching(/This session/));
+      outLines.mockReset();
+      await session.execute('report --session this', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/This session/));
+      expect(outLines).not.toHaveBeenCalledWith(expect.stringMatching(/2022/));
+    });
+  });
+
+  describe('check', () => {
+    test('no problems', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h --start 2h ago', outLines, errLines);
+      await session.execute('add coding 1h --start 1h ago', outLines, errLines);
+      outLines.mockReset();
+      await session.execute('check', outLines, errLines);
+      expect(outLines.mock.calls).toEqual([['No problems found.']]);
+    });
+
+    test('warns of overlap on add', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h --start 2h ago', outLines, errLines);
+      outLines.mockReset();
+      await session.execute('add coding 1h --start 90 minutes ago', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith('Warning: this entry overlaps with:');
+      expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/^#1: testing/));
+      outLines.mockReset();
+      await session.execute('check', outLines, errLines);
+      expect(outLines.mock.calls).toEqual([
+        [expect.stringMatching(/^#1: testing.* overlaps #2: coding/)]
+      ]);
+    });
+
+    test('warns of overlap on modify', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h --start 2h ago', outLines, errLines);
+      await session.execute('add coding 1h --start 1h ago', outLines, errLines);
+      expect(outLines).not.toHaveBeenCalledWith('Warning: this entry overlaps with:');
+      await session.execute('modify testing 90m', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith('Warning: this entry overlaps with:');
+      expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/^#2: coding/));
+    });
+
+    test('ignores overlap with other provider', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h --start 2h ago', outLines, errLines);
+      await meld.write({
+        ...exampleEntryJson(new Date(Date.now() - 5400000)), 'vf:provider': { '@id': 'bob' }
+      });
+      outLines.mockReset();
+      await session.execute('check', outLines, errLines);
+      expect(outLines.mock.calls).toEqual([['No problems found.']]);
+    });
+
+    test('finds long-running entry', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('start testing --start 2 days ago', outLines, errLines);
+      outLines.mockReset();
+      await session.execute('check', outLines, errLines);
+      expect(outLines.mock.calls).toEqual([
+        [expect.stringMatching(/^#1: testing.* has been running for more than a day$/)]
+      ]);
+    });
+
+    test('finds malformed entry', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await meld.write({ '@id': 'session123/1', '@type': 'Entry', activity: 'testing' });
+      await session.execute('check', outLines, errLines);
+      expect(outLines.mock.calls).toEqual([
+        [expect.stringMatching(/^Entry session123\/1 is malformed/)]
+      ]);
+    });
+
+    test('finds concurrent values', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h', outLines, errLines);
+      // Simulate concurrent edits of the duration
+      await meld.write({ '@insert': { '@id': `${id}/1`, duration: 30 } });
+      outLines.mockReset();
+      await session.execute('check', outLines, errLines);
+      expect(outLines.mock.calls).toEqual([
+        [`Entry ${id}/1 has more than one duration, from concurrent edits. ` +
+        'Use "modify" to give it a new duration.']
+      ]);
+    });
+
+    test('concurrent duration can be modified', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h', outLines, errLines);
+      await meld.write({ '@insert': { '@id': `${id}/1`, duration: 30 } });
+      await session.execute('modify last 2h', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({ duration: 120 });
+    });
+
+    test('concurrent start can be modified', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h --start "2022-06-01 09:00"', outLines, errLines);
+      await meld.write({
+        '@insert': { '@id': `${id}/1`, start: dateJsonLd(new Date(2022, 5, 1, 10)) }
+      });
+      await session.execute('modify 1 --start "2022-06-01 11:00"', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+        start: { '@value': new Date(2022, 5, 1, 11).toISOString() }, duration: 60
+      });
+      outLines.mockReset();
+      await session.execute('check', outLines, errLines);
+      expect(outLines.mock.calls).toEqual([['No problems found.']]);
+    });
+
+    test('concurrent values must be replaced to modify', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h', outLines, errLines);
+      await meld.write({ '@insert': { '@id': `${id}/1`, duration: 30 } });
+      await expect(session.execute('modify 1 --note "fixed"', outLines, errLines))
+        .rejects.toMatch(/more than one duration.*Please give a duration/);
+    });
+  });
+
+  describe('remove', () => {
+    test('entry by number', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h', outLines, errLines);
+      await session.execute('rm 1', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toBeUndefined();
+      expect(outLines).toHaveBeenLastCalledWith(expect.stringMatching(/#1: testing/));
+    });
+
+    test('single entry by activity', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h', outLines, errLines);
+      await session.execute('add coding 1h', outLines, errLines);
+      await session.execute('remove testing', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toBeUndefined();
+      await expect(meld.get(`${id}/2`)).resolves.toBeDefined();
+    });
+
+    test('malformed entry', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await meld.write({ '@id': 'session123/1', '@type': 'Entry', activity: 'testing' });
+      await session.execute('remove testing', outLines, errLines);
+      await expect(meld.get('session123/1')).resolves.toBeUndefined();
+      expect(outLines).toHaveBeenLastCalledWith('session123/1 (malformed, see "check")');
+    });
+
+    test('requires force for multiple entries', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h', outLines, errLines);
+      await session.execute('add coding 1h', outLines, errLines);
+      await expect(session.execute('remove today', outLines, errLines)).rejects
+        .toMatch(/matches more than one entry:\n#1: testing.*\n#2: coding.*\nUse --force/);
+      await expect(meld.get(`${id}/1`)).resolves.toBeDefined();
+      await expect(meld.get(`${id}/2`)).resolves.toBeDefined();
+      await session.execute('remove today --force', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toBeUndefined();
+      await expect(meld.get(`${id}/2`)).resolves.toBeUndefined();
+    });
+
+    test('rejects if no match', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await expect(session.execute('rm garbage', outLines, errLines))
+        .rejects.toMatch(/No matching entries/);
+    });
+  });
+
+  describe('timer', () => {
+    test('start and stop', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('start testing --start 1h ago', outLines, errLines);
+      await expect(meld.get(`${id}/1`))
+        .resolves.toMatchObject(expectEntry('testing', undefined, Date.now() - 3600000));
+      await session.execute('stop', outLines, errLines);
+      await expect(meld.get(`${id}/1`))
+        .resolves.toMatchObject(expectEntry('testing', 60, Date.now() - 3600000));
+      expect(outLines).toHaveBeenLastCalledWith(expect.stringMatching(/Stopped #1: testing/));
+    });
+
+    test('ignores malformed running entry', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('start testing --start 1h ago', outLines, errLines);
+      // Simulate concurrent edits of the start
+      await meld.write({ '@insert': { '@id': `${id}/1`, start: dateJsonLd(new Date) } });
+      await session.execute('switch coding', outLines, errLines);
+      await expect(meld.get(`${id}/2`)).resolves.toMatchObject(expectEntry('coding'));
+      await expect(session.reminders(new Date(Date.now() + 86400000))).resolves.toEqual([
+        expect.stringMatching(/^Reminder: #2: coding/)
+      ]);
+    });
+
+    test('cannot start twice', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('start testing', outLines, errLines);
+      await expect(session.execute('start testing', outLines, errLines))
+        .rejects.toMatch(/already running/);
+    });
+
+    test('cannot stop if not running', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h', outLines, errLines);
+      await expect(session.execute('stop', outLines, errLines))
+        .rejects.toMatch(/No activity is running/);
+    });
+
+    test('switch', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('start testing --start 1h ago', outLines, errLines);
+      await session.execute('switch coding', outLines, errLines);
+      await expect(meld.get(`${id}/1`))
+        .resolves.toMatchObject(expectEntry('testing', 60, Date.now() - 3600000));
+      await expect(meld.get(`${id}/2`))
+        .resolves.toMatchObject(expectEntry('coding'));
+      await expect(session.runningEntries()).resolves.toMatchObject([{
+        seqNo: '2', activity: 'coding'
+      }]);
+    });
   });
 
   describe('import', () => {
@@ -143,5 +853,357 @@ describe('CLI Session', () => {
       await expect(meld.get(`${id}/1`))
         .resolves.toMatchObject(expectEntry('trying it out'));
     });
+
+    test('replaces entry with same external ID', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('import --data \'{"activity": "testing", "start": "now", ' +
+        '"external": "http://ex.org/entry/1"}\'', outLines, errLines);
+      await session.execute('import --data \'{"activity": "testing", "start": "now", ' +
+        '"duration": 60, "external": "http://ex.org/entry/1"}\'', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+        ...expectEntry('testing', 60), external: { '@id': 'http://ex.org/entry/1' }
+      });
+      await expect(meld.get(`${id}/2`)).resolves.toBeUndefined();
+    });
+
+    test('summarises re-imported entries', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      const file = tmpFile();
+      const entries = duration => [
+        { activity: 'testing', start: '2022-06-06T09:00:00Z', duration, external: 'http://ex.org/entry/1' },
+        { activity: 'coding', start: '2022-06-06T10:00:00Z', duration: 30, external: 'http://ex.org/entry/2' }
+      ];
+      writeFileSync(file.name, JSON.stringify(entries(60)));
+      await session.execute(`${file.name} > import`, outLines, errLines);
+      expect(outLines).toHaveBeenLastCalledWith(
+        'Imported 2 new, 0 updated and 0 unchanged entries.');
+      writeFileSync(file.name, JSON.stringify([...entries(90), {
+        activity: 'reviewing', start: '2022-06-06T11:00:00Z'
+      }]));
+      await session.execute(`${file.name} > import`, outLines, errLines);
+      expect(outLines).toHaveBeenLastCalledWith(
+        'Imported 1 new, 1 updated and 1 unchanged entries.');
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({ duration: 90 });
+      await expect(meld.read({
+        '@describe': '?e', '@where': { '@id': '?e', '@type': 'Entry' }
+      })).resolves.toHaveLength(3);
+    });
+
+    test('entries from mite', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      const file = tmpFile();
+      const miteEntry = (id, minutes) => ({
+        time_entry: {
+          id, minutes, date_at: '2022-06-06', note: 'Rework description',
+          billable: true, hourly_rate: 5000, user_id: 211, service_name: 'Writing'
+        }
+      });
+      writeFileSync(file.name, JSON.stringify([miteEntry(1, 15), miteEntry(2, 30)]));
+      await session.execute(`${file.name} > import --from mite --mite-account acme`,
+        outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+        activity: 'Writing',
+        note: 'Rework description',
+        duration: 15,
+        billable: true,
+        rate: 50,
+        'vf:provider': { '@id': 'https://acme.mite.yo.lk/users/211' },
+        external: { '@id': 'https://acme.mite.yo.lk/time_entries/1' }
+      });
+      // Re-importing updates the existing entries
+      writeFileSync(file.name, JSON.stringify([miteEntry(1, 45)]));
+      await session.execute(`${file.name} > import --from mite --mite-account acme`,
+        outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({ duration: 45 });
+      await expect(meld.read({
+        '@describe': '?e', '@where': { '@id': '?e', '@type': 'Entry' }
+      })).resolves.toHaveLength(2);
+    });
+
+    test('mite entry for project', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await meld.write({
+        '@id': 'http://ex.org/test/ts1',
+        '@type': 'Timesheet',
+        project: { '@id': 'http://ex.org/test/king-inc-api-docs' }
+      });
+      await session.execute('import --from mite --mite-account acme --data \'' +
+        JSON.stringify({
+          time_entry: {
+            id: 1, minutes: 15, date_at: '2022-06-06', note: 'Rework description',
+            project_id: 88309, project_name: 'API Docs', customer_name: 'King Inc.'
+          }
+        }) + '\'', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+        activity: 'untitled',
+        note: 'Rework description',
+        project: { '@id': 'http://ex.org/test/king-inc-api-docs' }
+      });
+      await expect(meld.get('http://ex.org/test/king-inc-api-docs')).resolves.toMatchObject({
+        external: { '@id': 'https://acme.mite.yo.lk/projects/88309' }
+      });
+      outLines.mockReset();
+      await session.execute('report 2022-06-06 --format mite --mite-account acme',
+        outLines, errLines);
+      expect(JSON.parse(outLines.mock.calls.join(''))).toEqual([{
+        time_entry: expect.objectContaining({
+          id: 1, note: 'Rework description', project_id: 88309
+        })
+      }]);
+    });
+
+    test('mite entry for default project', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await meld.write({
+        '@id': 'http://ex.org/test/ts1',
+        '@type': 'Timesheet',
+        project: { '@id': 'http://ex.org/test/website' }
+      });
+      await session.execute('import --from mite --mite-account acme --project website --data \'' +
+        JSON.stringify({
+          time_entry: { id: 1, minutes: 15, date_at: '2022-06-06', note: 'Rework description' }
+        }) + '\'', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+        project: { '@id': 'http://ex.org/test/website' },
+        'vf:provider': { '@id': 'alice' }
+      });
+    });
+
+    test('mite requires account', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('import --from mite', outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(
+        expect.stringMatching(/specify the --mite-account/));
+    });
+
+    test('entries from Toggl', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await meld.write({
+        '@id': 'http://ex.org/test/ts1',
+        '@type': 'Timesheet',
+        project: { '@id': 'http://ex.org/test/acme-website' }
+      });
+      const file = tmpFile();
+      writeFileSync(file.name, JSON.stringify([{
+        id: 1, workspace_id: 10, project_id: 100, user_id: 1000,
+        description: 'Rework description', tags: ['docs'], billable: true,
+        start: '2022-06-06T09:00:00Z', stop: '2022-06-06T09:45:00Z',
+        project_name: 'Website', client_name: 'Acme'
+      }]));
+      await session.execute(`${file.name} > import --from toggl`, outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+        activity: 'Rework description',
+        duration: 45,
+        tag: 'docs',
+        billable: true,
+        project: { '@id': 'http://ex.org/test/acme-website' },
+        'vf:provider': { '@id': 'https://api.track.toggl.com/workspaces/10/users/1000' },
+        external: { '@id': 'https://api.track.toggl.com/workspaces/10/time_entries/1' }
+      });
+    });
+
+    test('entries from Clockify CSV', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute([
+        'import --from clockify --format csv --data "',
+        'Project,Client,Description,Billable,Start Date,Start Time,End Date,End Time,Billable Rate (USD)\n',
+        ',,Rework description,Yes,06/06/2022,09:00:00 AM,06/06/2022,10:30:00 AM,50.00"'
+      ].join(''), outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+        ...expectEntry('Rework description', 90, new Date('2022-06-06T09:00:00')),
+        billable: true,
+        rate: 50
+      });
+    });
+
+    test('entries from CSV file with columns', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      const file = tmpFile();
+      writeFileSync(file.name, [
+        'Task,Date,Minutes,note,billable',
+        'testing,2022-06-06T10:00:00.000Z,90,"first, of two",',
+        'coding,2022-06-06T12:00:00.000Z,60,,no'
+      ].join('\n'));
+      await session.execute(`${file.name} > import --format csv ` +
+        '--columns activity=Task,start=Date,duration=Minutes', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({
+        ...expectEntry('testing', 90, new Date('2022-06-06T10:00:00.000Z').getTime()),
+        note: 'first, of two'
+      });
+      await expect(meld.get(`${id}/1`)).resolves.not.toHaveProperty('billable');
+      await expect(meld.get(`${id}/2`)).resolves.toMatchObject({
+        ...expectEntry('coding', 60, new Date('2022-06-06T12:00:00.000Z').getTime()),
+        billable: false
+      });
+    });
+
+    test('entries from CSV file with duration unit', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('import --format csv --columns duration=Hours:h --data "' +
+        'activity,start,Hours\ntesting,2022-06-06T10:00:00.000Z,1.5\n' +
+        'coding,2022-06-06T12:00:00.000Z,45m"', outLines, errLines);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject({ duration: 90 });
+      await expect(meld.get(`${id}/2`)).resolves.toMatchObject({ duration: 45 });
+    });
+
+    test('inline TSV entry', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute(
+        'import --format tsv --data "activity\tstart\ntrying it out\tnow"',
+        outLines, errLines);
+      await expect(meld.get(`${id}/1`))
+        .resolves.toMatchObject(expectEntry('trying it out'));
+    });
+
+    test('re-imports CSV report', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute('add testing 1h --note "a note"', outLines, errLines);
+      outLines.mockReset();
+      await session.execute('list --format csv', outLines, errLines);
+      const file = tmpFile();
+      writeFileSync(file.name, outLines.mock.calls.map(([line]) => line).join('\n'));
+      await session.execute(`${file.name} > import --format csv`, outLines, errLines);
+      await expect(meld.get(`${id}/2`))
+        .resolves.toMatchObject({ ...expectEntry('testing', 60), note: 'a note' });
+    });
+
+    test('dry run of CSV', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute(
+        'import --format csv --dry-run --data "activity,start,duration\ntesting,now,1h"',
+        outLines, errLines);
+      expect(outLines).toHaveBeenCalledWith(expect.stringMatching(/^Entry #1: testing.*1 hour/));
+      await expect(meld.get(`${id}/1`)).resolves.toBeUndefined();
+    });
+
+    test('rejects unknown column property', async () => {
+      const outLines = jest.fn(), errLines = jest.fn();
+      await session.execute(
+        'import --format csv --columns activity=Task,garbage=Date', outLines, errLines);
+      // Parse failures are reported as output
+      expect(outLines).toHaveBeenCalledWith(
+        expect.stringMatching(/Unknown entry properties: garbage/));
+    });
+  });
+
+  describe('reminders', () => {
+    test('reminds of a long-running timer once', async () => {
+      await session.execute('start testing --start "2022-06-01 09:00"', jest.fn(), jest.fn());
+      await expect(session.reminders(new Date(2022, 5, 1, 12))).resolves.toEqual([]);
+      await expect(session.reminders(new Date(2022, 5, 1, 13))).resolves.toEqual([
+        expect.stringMatching(/^Reminder: #1: testing .* running for 4 hours/)
+      ]);
+      await expect(session.reminders(new Date(2022, 5, 1, 14))).resolves.toEqual([]);
+    });
+
+    test('reminds after working hours', async () => {
+      session = new TimesheetSession({
+        id, timesheet: 'test', domain, providerId: 'alice', remind: 'end',
+        logLevel: 'DEBUG', logFile: logFile.name, meld
+      });
+      await session.execute('start testing --start "2022-06-01 09:00"', jest.fn(), jest.fn());
+      await expect(session.reminders(new Date(2022, 5, 1, 17))).resolves.toEqual([]);
+      await expect(session.reminders(new Date(2022, 5, 1, 18))).resolves.toEqual([
+        expect.stringMatching(/^Reminder: #1: testing/)
+      ]);
+    });
+
+    test('does not remind if switched off', async () => {
+      session = new TimesheetSession({
+        id, timesheet: 'test', domain, providerId: 'alice', remind: 'none',
+        logLevel: 'DEBUG', logFile: logFile.name, meld
+      });
+      await session.execute('start testing --start "2022-06-01 09:00"', jest.fn(), jest.fn());
+      await expect(session.reminders(new Date(2022, 5, 2))).resolves.toEqual([]);
+    });
+  });
+
+  describe('tab completion', () => {
+    beforeEach(async () => {
+      await session.execute('add coding 1h --start "2022-06-01 10:00"', jest.fn(), jest.fn());
+      await session.execute(
+        'add "code review" 1h --start "2022-06-03 10:00"', jest.fn(), jest.fn());
+      await session.execute('add testing 1h --start "2022-06-02 10:00"', jest.fn(), jest.fn());
+      await session.execute('add coding 1h --start "2022-06-04 10:00"', jest.fn(), jest.fn());
+    });
+
+    test('completes activities most recent first', async () => {
+      await expect(session.complete('add co')).resolves.toEqual([
+        ['coding', '"code review"'], 'co'
+      ]);
+      await expect(session.complete('start ')).resolves.toEqual([
+        ['coding', '"code review"', 'testing'], ''
+      ]);
+    });
+
+    test('completes quoted activity', async () => {
+      await expect(session.complete('switch \'code r')).resolves.toEqual([
+        ['\'code review\''], '\'code r'
+      ]);
+    });
+
+    test('does not complete options or later arguments', async () => {
+      await expect(session.complete('add co')).resolves.not.toEqual([[], 'co']);
+      await expect(session.complete('add --st')).resolves.toEqual([[], '--st']);
+      await expect(session.complete('add coding 1')).resolves.toEqual([[], '1']);
+    });
+
+    test('completes selector keywords', async () => {
+      await expect(session.complete('modify t')).resolves.toEqual([
+        ['testing', 'today', '"this week"', '"this month"'], 't'
+      ]);
+      await expect(session.complete('rm "testing th')).resolves.toEqual([
+        ['"testing this week"', '"testing this month"'], '"testing th'
+      ]);
+    });
+
+    test('completes report time range', async () => {
+      await expect(session.complete('report last w')).resolves.toEqual([
+        ['week'], 'w'
+      ]);
+      await expect(session.complete('sum th')).resolves.toEqual([
+        ['this week', 'this month'], 'th'
+      ]);
+    });
+  });
+
+  describe('execute once', () => {
+    let console;
+
+    beforeEach(() => {
+      console = { log: jest.fn(), error: jest.fn() };
+    });
+
+    test('runs a read-only command', async () => {
+      await session.execute('add testing 1h', jest.fn(), jest.fn());
+      await expect(session.executeOnce('list', { console, timeout: 10 })).resolves.toBe(0);
+      expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^Entry #1: testing/));
+    });
+
+    test('runs a write command', async () => {
+      // With dead remotes, the change cannot be shared
+      await expect(session.executeOnce('add "code review" 30m', { console, timeout: 10 }))
+        .resolves.toBe(2);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject(expectEntry('code review', 30));
+      expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/#1: code review/));
+      expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/saved locally/));
+    });
+
+    test('runs a write command without synchronising', async () => {
+      await expect(session.executeOnce('add "code review" 30m',
+        { console, timeout: 60000, sync: false })).resolves.toBe(0);
+      await expect(meld.get(`${id}/1`)).resolves.toMatchObject(expectEntry('code review', 30));
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    test('fails a bad command', async () => {
+      await expect(session.executeOnce('garbage', { console, timeout: 10 })).resolves.toBe(1);
+    });
+
+    test('fails a command error', async () => {
+      await expect(session.executeOnce('modify 1 2h', { console, timeout: 10 }))
+        .resolves.toBe(1);
+      expect(console.error).toHaveBeenCalled();
+    });
   });
 });
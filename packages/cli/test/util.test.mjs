@@ -1,5 +1,9 @@
 import { expect, test } from '@jest/globals';
-import { parseDuration, toDate, toDuration, toIri } from '../lib/util.mjs';
+import {
+  parseColumns, parseDate, parseDuration, parseEntrySelector, parseReminder, parseTags,
+  parseTimeRange, parseWorkingHours, splitPartialLine, toBoolean, toDate, toDuration, toIri,
+  toTags, workingIntervals
+} from '../lib/util.mjs';
 
 test('parse duration in minutes', () => {
   expect(parseDuration('10')).toBe(10);
@@ -7,6 +11,142 @@ test('parse duration in minutes', () => {
   expect(parseDuration('1h')).toBe(60);
 });
 
+test('parse time range', () => {
+  const ref = new Date(2022, 5, 8, 15, 30); // Wednesday
+  expect(parseTimeRange('today', ref)).toEqual({
+    start: new Date(2022, 5, 8), end: new Date(2022, 5, 9)
+  });
+  expect(parseTimeRange(['yesterday'], ref)).toEqual({
+    start: new Date(2022, 5, 7), end: new Date(2022, 5, 8)
+  });
+  expect(parseTimeRange('this week', ref)).toEqual({
+    start: new Date(2022, 5, 5), end: new Date(2022, 5, 12)
+  });
+  expect(parseTimeRange('last month', ref)).toEqual({
+    start: new Date(2022, 4, 1), end: new Date(2022, 5, 1)
+  });
+  expect(parseTimeRange('2022-06-01..2022-06-15', ref)).toEqual({
+    start: new Date(2022, 5, 1), end: new Date(2022, 5, 16)
+  });
+  expect(() => parseTimeRange('garbage', ref)).toThrowError(RangeError);
+});
+
+test('parse time range in time zone', () => {
+  const ref = new Date('2022-06-08T02:30:00Z'); // Still the 7th in New York
+  expect(parseTimeRange('today', ref, 'America/New_York')).toEqual({
+    start: new Date('2022-06-07T04:00:00Z'), end: new Date('2022-06-08T04:00:00Z')
+  });
+  expect(parseTimeRange('2022-06-01..2022-06-15', ref, 'Asia/Tokyo')).toEqual({
+    start: new Date('2022-05-31T15:00:00Z'), end: new Date('2022-06-15T15:00:00Z')
+  });
+});
+
+test('parse relative date in time zone', () => {
+  const now = Date.now();
+  expect(parseDate('now', 'Asia/Tokyo').getTime()).toBeCloseTo(now, -4);
+  expect(parseDate('2 hours ago', 'America/New_York').getTime())
+    .toBeCloseTo(now - 2 * 3600000, -4);
+  expect(parseDate('in 1 hour', 'America/New_York').getTime())
+    .toBeCloseTo(now + 3600000, -4);
+});
+
+test('parse date in time zone', () => {
+  expect(parseDate('2022-06-08 10:00', 'America/New_York'))
+    .toEqual(new Date('2022-06-08T14:00:00Z'));
+  expect(parseDate('2022-06-08T10:00:00Z', 'America/New_York'))
+    .toEqual(new Date('2022-06-08T10:00:00Z'));
+  expect(parseEntrySelector('standup today 9am',
+    new Date('2022-06-08T02:30:00Z'), 'America/New_York')).toMatchObject({
+    activity: 'standup', at: new Date('2022-06-07T13:00:00Z')
+  });
+});
+
+test('parse entry selector', () => {
+  const ref = new Date(2022, 5, 8, 15, 30);
+  expect(parseEntrySelector('standup', ref)).toEqual({ activity: 'standup' });
+  expect(parseEntrySelector('standup yesterday', ref)).toEqual({
+    activity: 'standup',
+    range: { start: new Date(2022, 5, 7), end: new Date(2022, 5, 8) },
+    at: undefined
+  });
+  expect(parseEntrySelector('today 12pm', ref)).toMatchObject({
+    activity: undefined, at: new Date(2022, 5, 8, 12)
+  });
+});
+
+test('parse activity tags', () => {
+  expect(parseTags('fix login bug #acme #billable')).toEqual({
+    activity: 'fix login bug', tags: ['acme', 'billable']
+  });
+  expect(parseTags('#acme standup')).toEqual({ activity: 'standup', tags: ['acme'] });
+  expect(parseTags('issue#1 triage')).toEqual({ activity: 'issue#1 triage', tags: [] });
+});
+
+test('parse working hours', () => {
+  expect(parseWorkingHours('Mon-Fri 09:00-17:30')).toEqual({
+    days: [1, 2, 3, 4, 5], start: 540, end: 1050
+  });
+  expect(parseWorkingHours('mon,Wednesday 9:00 - 13:00')).toEqual({
+    days: [1, 3], start: 540, end: 780
+  });
+  expect(parseWorkingHours('Sat-Sun 10:00-12:00').days).toEqual([0, 6]);
+  expect(() => parseWorkingHours('Mon-Fri')).toThrowError(RangeError);
+  expect(() => parseWorkingHours('Mon-Fry 09:00-17:30')).toThrowError(RangeError);
+  expect(() => parseWorkingHours('Mon-Fri 17:30-09:00')).toThrowError(RangeError);
+});
+
+test('working intervals', () => {
+  const workingHours = parseWorkingHours('Mon-Fri 09:00-17:30');
+  // Saturday to Tuesday lunchtime
+  expect(workingIntervals({
+    start: new Date(2022, 5, 4), end: new Date(2022, 5, 7, 12)
+  }, workingHours)).toEqual([
+    { start: new Date(2022, 5, 6, 9), end: new Date(2022, 5, 6, 17, 30) },
+    { start: new Date(2022, 5, 7, 9), end: new Date(2022, 5, 7, 12) }
+  ]);
+});
+
+test('working intervals in time zone', () => {
+  const workingHours = parseWorkingHours('Mon-Fri 09:00-17:30');
+  // Monday in Berlin, which is on summer time
+  expect(workingIntervals({
+    start: new Date('2022-06-06T00:00:00Z'), end: new Date('2022-06-07T00:00:00Z')
+  }, workingHours, 'Europe/Berlin')).toEqual([
+    { start: new Date('2022-06-06T07:00:00Z'), end: new Date('2022-06-06T15:30:00Z') }
+  ]);
+});
+
+test('parse columns', () => {
+  expect(parseColumns('activity=Task,start=Date, duration = Time Spent')).toEqual({
+    'Task': { property: 'activity' },
+    'Date': { property: 'start' },
+    'Time Spent': { property: 'duration' }
+  });
+  expect(parseColumns('duration=Hours:h')).toEqual({
+    'Hours': { property: 'duration', unit: 'h' }
+  });
+  expect(() => parseColumns('activity')).toThrowError(RangeError);
+  expect(() => parseColumns('activity=')).toThrowError(RangeError);
+  expect(() => parseColumns('activity=Task:h')).toThrowError(RangeError);
+  expect(() => parseColumns('duration=Hours:garbage')).toThrowError(RangeError);
+});
+
+test('interpret booleans', () => {
+  expect(toBoolean(true)).toBe(true);
+  expect(toBoolean(undefined)).toBe(false);
+  expect(toBoolean('Yes')).toBe(true);
+  expect(toBoolean('FALSE')).toBe(false);
+  expect(toBoolean('no')).toBe(false);
+  expect(toBoolean('0')).toBe(false);
+});
+
+test('interpret tags', () => {
+  expect(toTags(undefined)).toEqual([]);
+  expect(toTags('acme')).toEqual(['acme']);
+  expect(toTags(['#acme', 'billable'])).toEqual(['acme', 'billable']);
+  expect(() => toTags([{}])).toThrowError(RangeError);
+});
+
 test('interpret duration', () => {
   expect(toDuration(10)).toBe(10);
   expect(toDuration('10')).toBe(10);
@@ -28,4 +168,26 @@ test('interpret Date', () => {
   expect(toDate(example.toISOString())).toEqual(example);
   expect(() => toDate(null)).toThrowError(RangeError);
   expect(() => toDate({})).toThrowError(RangeError);
-});
\ No newline at end of file
+});
+test('split partial line', () => {
+  expect(splitPartialLine('add co')).toEqual({
+    words: ['add'], partial: 'co', quote: undefined, text: 'co'
+  });
+  expect(splitPartialLine('add ')).toEqual({
+    words: ['add'], partial: '', quote: undefined, text: ''
+  });
+  expect(splitPartialLine('add "code r')).toEqual({
+    words: ['add'], partial: 'code r', quote: '"', text: '"code r'
+  });
+  expect(splitPartialLine('modify \'code review\' 1')).toEqual({
+    words: ['modify', 'code review'], partial: '1', quote: undefined, text: '1'
+  });
+});
+
+test('parse reminder', () => {
+  expect(parseReminder('4h')).toEqual({ after: 240 });
+  expect(parseReminder('90')).toEqual({ after: 90 });
+  expect(parseReminder('end')).toEqual({ afterWorkingHours: true });
+  expect(parseReminder('none')).toBeUndefined();
+  expect(() => parseReminder('garbage')).toThrowError(RangeError);
+});
@@ -0,0 +1,54 @@
+import { ExternalFormat } from 'timeld-common';
+
+/**
+ * Clockify integration. Pass exported `projects` and `clients` to the
+ * constructor if time entries are exported without hydration.
+ *
+ * @see https://docs.clockify.me/
+ */
+export default class ClockifyFormat extends ExternalFormat {
+  // Dates and times are in the workspace format e.g. 06/01/2022 and
+  // 09:00:00 AM; which must be parseable by Javascript
+  columns = {
+    startDate: 'Start Date', startTime: 'Start Time',
+    endDate: 'End Date', endTime: 'End Time'
+  };
+
+  /**
+   * @param {object} json a time entry from the Clockify API
+   * @returns {ExternalEntry}
+   */
+  importJson(json) {
+    // Not including the API version for purity
+    const idIri = path =>
+      `https://api.clockify.me/workspaces/${json.workspaceId}/${path}`;
+    // Hydrated entries include the project and tags
+    const project = json.project ?? this.projects.get(json.projectId);
+    return ExternalFormat.entry({
+      external: idIri(`time-entries/${json.id}`),
+      description: json.description,
+      provider: json.userId != null ? idIri(`users/${json.userId}`) : undefined,
+      start: new Date(json.timeInterval.start),
+      end: json.timeInterval.end != null ? new Date(json.timeInterval.end) : undefined,
+      tag: (json.tags ?? []).map(tag => tag.name),
+      billable: json.billable,
+      // Clockify rates are in cents
+      rate: json.hourlyRate?.amount ? json.hourlyRate.amount / 100 : undefined,
+      project: project?.name,
+      client: project?.clientName ?? this.clients.get(project?.clientId)?.name,
+      projectExternal: project != null ?
+        idIri(`projects/${project.id ?? json.projectId}`) : undefined
+    });
+  }
+
+  /**
+   * @param {object} row a row of a detailed report CSV export
+   * @returns {ExternalEntry}
+   */
+  importRow(row) {
+    // The rate column header includes the currency, e.g. "Billable Rate (USD)"
+    const rate = Object.entries(row)
+      .find(([header]) => header.startsWith('Billable Rate'))?.[1];
+    return { ...super.importRow(row), rate: rate ? Number(rate) : undefined };
+  }
+}
@@ -0,0 +1,79 @@
+import { describe, expect, test } from '@jest/globals';
+import ClockifyFormat from '..';
+
+describe('Clockify format', () => {
+  test('imports hydrated API time entry', () => {
+    expect(new ClockifyFormat().import({
+      id: 'e1', workspaceId: 'w1', userId: 'u1', projectId: 'p1',
+      description: 'Rework description', billable: true,
+      timeInterval: { start: '2022-06-06T09:00:00Z', end: '2022-06-06T09:45:00Z' },
+      hourlyRate: { amount: 5000, currency: 'USD' },
+      tags: [{ id: 't1', name: 'docs' }],
+      project: { id: 'p1', name: 'Website', clientName: 'Acme' }
+    })).toEqual({
+      external: 'https://api.clockify.me/workspaces/w1/time-entries/e1',
+      activity: 'Rework description',
+      provider: 'https://api.clockify.me/workspaces/w1/users/u1',
+      start: '2022-06-06T09:00:00.000Z',
+      duration: 45,
+      tag: ['docs'],
+      billable: true,
+      rate: 50,
+      project: {
+        '@id': 'acme-website',
+        external: 'https://api.clockify.me/workspaces/w1/projects/p1'
+      }
+    });
+  });
+
+  test('imports API time entry with exported projects', () => {
+    const format = new ClockifyFormat({
+      projects: [{ id: 'p1', name: 'Website', clientId: 'c1' }],
+      clients: [{ id: 'c1', name: 'Acme' }]
+    });
+    expect(format.import({
+      id: 'e1', workspaceId: 'w1', projectId: 'p1',
+      timeInterval: { start: '2022-06-06T09:00:00Z', end: '2022-06-06T09:45:00Z' }
+    })).toMatchObject({
+      activity: 'Website',
+      project: {
+        '@id': 'acme-website',
+        external: 'https://api.clockify.me/workspaces/w1/projects/p1'
+      }
+    });
+  });
+
+  test('imports running API time entry', () => {
+    const entry = new ClockifyFormat().import({
+      id: 'e1', workspaceId: 'w1', timeInterval: { start: '2022-06-06T09:00:00Z' }
+    });
+    expect(entry).toMatchObject({ activity: 'untitled', start: '2022-06-06T09:00:00.000Z' });
+    expect(entry.duration).toBeUndefined();
+    expect(entry.project).toBeUndefined();
+  });
+
+  test('imports CSV row', () => {
+    expect(new ClockifyFormat({ timeZone: 'America/New_York' }).import({
+      'Project': 'Website',
+      'Client': 'Acme',
+      'Description': 'Rework description',
+      'Task': '',
+      'Tags': 'docs',
+      'Billable': 'Yes',
+      'Start Date': '06/06/2022',
+      'Start Time': '09:00:00 AM',
+      'End Date': '06/06/2022',
+      'End Time': '10:30:00 AM',
+      'Billable Rate (USD)': '50.00'
+    })).toEqual({
+      activity: 'Rework description',
+      note: '',
+      start: '2022-06-06T13:00:00.000Z',
+      duration: 90,
+      tag: ['docs'],
+      billable: true,
+      rate: 50,
+      project: { '@id': 'acme-website' }
+    });
+  });
+});
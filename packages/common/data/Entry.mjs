@@ -15,7 +15,7 @@ export default class Entry extends DomainEntity {
         ...isReference
       },
       activity: {
-        ...withDoc('The activity description'),
+        ...withDoc('The activity name, e.g. `standup`'),
         type: 'string'
       },
       'vf:provider': {
@@ -35,6 +35,35 @@ export default class Entry extends DomainEntity {
         ...withDoc('The entry duration, in minutes'),
         type: 'int16'
       },
+      project: {
+        ...withDoc('The project that the entry is for, ' +
+          'which must be linked to the timesheet, e.g. `acme/website`'),
+        ...isReference
+      },
+      note: {
+        ...withDoc('Free-text notes about the entry, ' +
+          'e.g. what was discussed in a standup'),
+        type: 'string'
+      },
+      tag: {
+        ...withDoc('Tags for the entry, without a leading hash, e.g. `billable`'),
+        elements: { type: 'string' }
+      },
+      billable: {
+        ...withDoc('Whether the entry can be invoiced. Entries are billable ' +
+          'unless this is `false`'),
+        type: 'boolean'
+      },
+      rate: {
+        ...withDoc('The hourly rate for the entry, ' +
+          'overriding any default rate for the project'),
+        type: 'float64'
+      },
+      timeZone: {
+        ...withDoc('The IANA time zone of the entry author, ' +
+          'e.g. `Europe/London`, which determines the day of the entry'),
+        type: 'string'
+      },
       ...DomainEntity.SCHEMA.optionalProperties
     }
   };
@@ -52,6 +81,12 @@ export default class Entry extends DomainEntity {
       providerId: propertyValue(src, 'vf:provider', Object)['@id'],
       start: propertyValue(src, 'start', Date),
       duration: optionalPropertyValue(src, 'duration', Number),
+      projectId: optionalPropertyValue(src, 'project', Object)?.['@id'],
+      note: optionalPropertyValue(src, 'note', String),
+      tags: propertyValue(src, 'tag', Array, String),
+      billable: optionalPropertyValue(src, 'billable', Boolean),
+      rate: optionalPropertyValue(src, 'rate', Number),
+      timeZone: optionalPropertyValue(src, 'timeZone', String),
       ...DomainEntity.specFromJson(src)
     });
   }
@@ -63,6 +98,12 @@ export default class Entry extends DomainEntity {
    * @param {string} spec.providerId
    * @param {Date} spec.start
    * @param {number} [spec.duration] entry duration in minutes
+   * @param {string} [spec.projectId]
+   * @param {string} [spec.note]
+   * @param {string[]} [spec.tags]
+   * @param {boolean} [spec.billable] billable unless `false`
+   * @param {number} [spec.rate] hourly rate
+   * @param {string} [spec.timeZone] IANA time zone of the entry author
    * @param {string} [spec.externalId]
    */
   constructor(spec) {
@@ -73,6 +114,42 @@ export default class Entry extends DomainEntity {
     this.providerId = spec.providerId;
     this.start = spec.start;
     this.duration = spec.duration;
+    this.projectId = spec.projectId;
+    this.note = spec.note;
+    this.tags = spec.tags ?? [];
+    this.billable = spec.billable;
+    this.rate = spec.rate;
+    this.timeZone = spec.timeZone;
+  }
+
+  /**
+   * @returns {Date | undefined} the end of the entry, if it has a duration
+   */
+  get end() {
+    if (this.duration != null)
+      return new Date(this.start.getTime() + this.duration * 60000);
+  }
+
+  /**
+   * @param {number} [defaultRate] hourly rate, if the entry does not have one
+   * @returns {number | undefined} the revenue from the entry, if it is billable
+   * and has both a duration and a rate
+   */
+  revenue(defaultRate) {
+    const rate = this.rate ?? defaultRate;
+    if (this.billable !== false && rate != null && this.duration != null)
+      return this.duration * rate / 60;
+  }
+
+  /**
+   * @param {Map<string, number | undefined>} projectRates default hourly rates
+   * of all the projects linked to the entry's timesheet, by project IRI
+   * @returns {number | undefined} the revenue from the entry, with the default
+   * rate of its project; or if it has no project, of the timesheet's only project
+   */
+  projectRevenue(projectRates) {
+    return this.revenue(this.projectId != null ? projectRates.get(this.projectId) :
+      projectRates.size === 1 ? [...projectRates.values()][0] : undefined);
   }
 
   toJSON() {
@@ -84,6 +161,12 @@ export default class Entry extends DomainEntity {
       'vf:provider': { '@id': this.providerId },
       'start': dateJsonLd(this.start),
       'duration': this.duration,
+      'project': this.projectId ? { '@id': this.projectId } : undefined,
+      'note': this.note,
+      'tag': this.tags.length ? this.tags : undefined,
+      'billable': this.billable,
+      'rate': this.rate,
+      'timeZone': this.timeZone,
       ...super.toJSON()
     };
   }
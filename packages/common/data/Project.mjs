@@ -17,6 +17,10 @@ export default class Project extends DomainEntity {
         type: 'int16'
       },
       milestone: { elements: { type: 'string' } },
+      rate: {
+        ...withDoc('The default hourly rate for entries in the project'),
+        type: 'float64'
+      },
       ...DomainEntity.SCHEMA.optionalProperties
     }
   };
@@ -31,6 +35,7 @@ export default class Project extends DomainEntity {
       start: optionalPropertyValue(src, 'start', Date),
       duration: optionalPropertyValue(src, 'duration', Number),
       milestones: propertyValue(src, 'milestone', Array, String),
+      rate: optionalPropertyValue(src, 'rate', Number),
       ...DomainEntity.specFromJson(src)
     });
   }
@@ -40,6 +45,7 @@ export default class Project extends DomainEntity {
    * @param {Date} [spec.start]
    * @param {number} [spec.duration]
    * @param {string[]} [spec.milestones]
+   * @param {number} [spec.rate] default hourly rate for entries
    * @param {string} [spec.externalId]
    */
   constructor(spec) {
@@ -48,6 +54,7 @@ export default class Project extends DomainEntity {
     this.start = spec.start;
     this.duration = spec.duration;
     this.milestones = spec.milestones ?? [];
+    this.rate = spec.rate;
   }
 
   toJSON() {
@@ -57,6 +64,7 @@ export default class Project extends DomainEntity {
       'start': dateJsonLd(this.start),
       'duration': this.duration,
       'milestone': this.milestones,
+      'rate': this.rate,
       ...super.toJSON()
     };
   }
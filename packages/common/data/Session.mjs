@@ -3,18 +3,34 @@ import { uuid } from '@m-ld/m-ld';
 
 export default class Session {
   /**
-   * @param {string} [id]
-   * @param {Date} [startTime]
-   * @param {number} [nextEntryId]
+   * For compatibility, also accepts the positional form
+   * `(id, startTime, nextEntryId)`.
+   *
+   * @param {object|string} [spec]
+   * @param {string} [spec.id] a new UUID if not specified
+   * @param {Date} [spec.startTime] now if not specified
+   * @param {number} [spec.nextEntryId]
+   * @param {string} [spec.timeZone] IANA time zone of the session user
+   * @param {string} [spec.providerId] IRI of the session user
+   * @param {string} [spec.client] description of the device or client software
    */
-  constructor(
-    id = uuid(),
-    startTime = new Date,
-    nextEntryId = 1
-  ) {
+  constructor(spec, ...positional) {
+    if (typeof spec == 'string' || positional.length)
+      spec = { id: spec, startTime: positional[0], nextEntryId: positional[1] };
+    const {
+      id = uuid(),
+      startTime = new Date,
+      nextEntryId = 1,
+      timeZone,
+      providerId,
+      client
+    } = spec ?? {};
     this.id = id;
     this.startTime = startTime;
     this.nextEntryId = nextEntryId;
+    this.timeZone = timeZone;
+    this.providerId = providerId;
+    this.client = client;
   }
 
   claimEntryId() {
@@ -25,7 +41,10 @@ export default class Session {
     return {
       '@id': this.id,
       '@type': 'Session',
-      start: dateJsonLd(this.startTime)
+      start: dateJsonLd(this.startTime),
+      timeZone: this.timeZone,
+      'vf:provider': this.providerId ? { '@id': this.providerId } : undefined,
+      client: this.client
     };
   }
 }
\ No newline at end of file
@@ -4,6 +4,8 @@ import AccountOwnedId from './lib/AccountOwnedId.mjs';
 import AblyKey from './lib/AblyKey.mjs';
 import ResultsReadable from './lib/ResultsReadable.mjs';
 import BaseGateway from './lib/BaseGateway.mjs';
+import ExternalFormat from './lib/ExternalFormat.mjs';
+import Rounding from './lib/Rounding.mjs';
 
 export {
   clone,
@@ -11,7 +13,12 @@ export {
   AccountOwnedId,
   AblyKey,
   ResultsReadable,
-  BaseGateway
+  BaseGateway,
+  ExternalFormat,
+  Rounding
 };
 export { timeldContext, isDomainEntity, Entry, Project, Timesheet, Session } from './data/index.mjs';
-export { dateJsonLd, safeRefsIn, mustBe, isReference } from './lib/util.mjs';
+export {
+  dateJsonLd, safeRefsIn, mustBe, isReference,
+  toTimeZone, toWallClock, fromWallClock, formatDay
+} from './lib/util.mjs';
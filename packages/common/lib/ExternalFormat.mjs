@@ -0,0 +1,235 @@
+import AccountOwnedId from './AccountOwnedId.mjs';
+import { dateJsonLd, fromWallClock } from './util.mjs';
+
+/**
+ * Entry properties from another time-tracking system, as accepted by the CLI
+ * `import` command. IRIs are strings.
+ *
+ * @typedef {object} ExternalEntry
+ * @property {string} activity
+ * @property {string} start ISO date-time
+ * @property {number} [duration] in minutes; missing if running
+ * @property {string} [external] entry IRI in the other system
+ * @property {string} [provider] user IRI in the other system
+ * @property {string} [note]
+ * @property {string[]} [tag]
+ * @property {boolean} [billable]
+ * @property {number} [rate]
+ * @property {ExternalProject} [project]
+ */
+
+/**
+ * @typedef {object} ExternalProject
+ * @property {string} @id timeld project name, see {@link ExternalFormat.projectName}
+ * @property {string} [external] project IRI in the other system
+ */
+
+/**
+ * Column headers of the start and end of a detailed report CSV export row
+ * @typedef {object} ExternalColumns
+ * @property {string} startDate
+ * @property {string} startTime
+ * @property {string} endDate
+ * @property {string} endTime
+ */
+
+/**
+ * Base for adapters of time entries exported from other systems. Subclasses
+ * map exported JSON records to {@link ExternalEntry} properties, and name the
+ * date and time columns of CSV exports, if the other system has them.
+ *
+ * @abstract
+ */
+export default class ExternalFormat {
+  /** Activity for entries having no description or project */
+  static UNTITLED = 'untitled';
+
+  /**
+   * CSV export date and time columns, if the other system has CSV exports
+   * @type {ExternalColumns | undefined}
+   */
+  columns = undefined;
+
+  /**
+   * @param {object[]} [projects] exported projects of the other system, to
+   * name the projects of time entries exported without project names
+   * @param {object[]} [clients] exported clients, to name projects
+   * @param {string} [timeZone] IANA time zone of exported dates and times
+   * which have no zone of their own; local if not specified
+   */
+  constructor({ projects = [], clients = [], timeZone } = {}) {
+    this.projects = new Map(projects.map(project => [project.id, project]));
+    this.clients = new Map(clients.map(client => [client.id, client]));
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * @param {string} project project name in the other system
+   * @param {string} [client] client name in the other system
+   * @returns {string} a project name usable in timeld, e.g. `acme-website`
+   */
+  static projectName(project, client) {
+    return [client, project].filter(Boolean).join(' ')
+      .toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * @param {Date} start
+   * @param {Date} end
+   * @returns {number} whole minutes between the dates
+   */
+  static minutes(start, end) {
+    return Math.round((end.getTime() - start.getTime()) / 60000);
+  }
+
+  /**
+   * @param {string} dateTime date and time without a zone, parseable by
+   * Javascript, e.g. "2022-06-01T09:00:00" or "06/01/2022 09:00:00 AM"
+   * @returns {Date} the date and time in this format's time zone
+   */
+  parseDateTime(dateTime) {
+    // Javascript parses a date and time without a zone as process-local
+    const local = new Date(dateTime);
+    return fromWallClock(new Date(Date.UTC(
+      local.getFullYear(), local.getMonth(), local.getDate(),
+      local.getHours(), local.getMinutes(), local.getSeconds()
+    )), this.timeZone);
+  }
+
+  /**
+   * @param {object} fields exported time entry fields
+   * @param {string} [fields.description] the activity, if present
+   * @param {Date} fields.start
+   * @param {Date} [fields.end] missing if running
+   * @param {string} [fields.project] project name in the other system
+   * @param {string} [fields.client] client name in the other system
+   * @param {string} [fields.projectExternal] project IRI in the other system
+   * @returns {ExternalEntry} the entry, with any other given fields, e.g. `note`
+   */
+  static entry({ description, start, end, project, client, projectExternal, ...rest }) {
+    return {
+      activity: description || project || ExternalFormat.UNTITLED,
+      start: start.toISOString(),
+      duration: end != null ? ExternalFormat.minutes(start, end) : undefined,
+      project: project != null ? {
+        '@id': ExternalFormat.projectName(project, client),
+        external: projectExternal
+      } : undefined,
+      ...rest
+    };
+  }
+
+  /**
+   * @param {object} src exported record: a JSON object, or a row of a
+   * detailed report CSV export keyed by column header
+   * @returns {ExternalEntry}
+   */
+  import(src) {
+    return this.columns != null && this.columns.startDate in src ?
+      this.importRow(src) : this.importJson(src);
+  }
+
+  /**
+   * @param {object} json exported JSON record
+   * @returns {ExternalEntry}
+   * @abstract
+   */
+  importJson(json) {
+    throw undefined;
+  }
+
+  /**
+   * Imports a row of a detailed report CSV export. Besides the date and time
+   * {@link columns}, the row may have Description, Project, Client, Task,
+   * Tags (comma-separated) and Billable ("Yes" or "No") columns.
+   *
+   * @param {object} row keyed by column header
+   * @returns {ExternalEntry}
+   */
+  importRow(row) {
+    const { startDate, startTime, endDate, endTime } = this.columns;
+    // Rows have no identity, so re-importing will duplicate entries
+    return ExternalFormat.entry({
+      description: row['Description'],
+      start: this.parseDateTime(`${row[startDate]} ${row[startTime]}`),
+      end: row[endDate] != null ?
+        this.parseDateTime(`${row[endDate]} ${row[endTime]}`) : undefined,
+      project: row['Project'],
+      client: row['Client'],
+      note: row['Task'],
+      tag: row['Tags']?.split(',').map(tag => tag.trim()).filter(Boolean) ?? [],
+      billable: row['Billable'] != null ? row['Billable'] === 'Yes' : undefined
+    });
+  }
+
+  /**
+   * Produces the domain entities for a Gateway import (`/api/import`) of the
+   * given exported records: projects, then the timesheet linked to them, then
+   * the entries.
+   *
+   * @param {Iterable<object>} sources exported records
+   * @param {string} account the account to own the projects and timesheet
+   * @param {string} timesheet the timesheet name
+   * @param {string} [provider] provider of entries not having one
+   * @returns {import('@m-ld/m-ld').GraphSubject[]}
+   */
+  domainEntities(sources, { account, timesheet, provider = account }) {
+    const tsId = new AccountOwnedId({ account, name: timesheet }).validate();
+    const projects = {}, entries = [];
+    for (let src of sources) {
+      const entry = this.import(src);
+      let project;
+      if (entry.project != null) {
+        const projectId = new AccountOwnedId({
+          account, name: entry.project['@id']
+        }).validate().toRelativeIri();
+        projects[projectId] ??= withoutEmpty({
+          '@id': projectId,
+          '@type': 'Project',
+          external: asReference(entry.project.external)
+        });
+        project = { '@id': projectId };
+      }
+      entries.push(withoutEmpty({
+        '@type': 'Entry',
+        session: { '@id': tsId.toRelativeIri() },
+        activity: entry.activity,
+        'vf:provider': { '@id': entry.provider ?? provider },
+        start: dateJsonLd(new Date(entry.start)),
+        duration: entry.duration,
+        project,
+        note: entry.note,
+        tag: entry.tag?.length ? entry.tag : undefined,
+        billable: entry.billable,
+        rate: entry.rate,
+        external: asReference(entry.external)
+      }));
+    }
+    return [
+      ...Object.values(projects),
+      withoutEmpty({
+        '@id': tsId.toRelativeIri(),
+        '@type': 'Timesheet',
+        project: Object.keys(projects).map(id => ({ '@id': id }))
+      }),
+      ...entries
+    ];
+  }
+}
+
+/**
+ * @param {string} [iri]
+ * @returns {import('@m-ld/m-ld').Reference | undefined}
+ */
+function asReference(iri) {
+  return iri != null ? { '@id': iri } : undefined;
+}
+
+/**
+ * @param {object} src
+ * @returns {object} the source without undefined properties or empty arrays
+ */
+function withoutEmpty(src) {
+  return Object.fromEntries(Object.entries(src).filter(([, value]) =>
+    value != null && !(Array.isArray(value) && value.length === 0)));
+}
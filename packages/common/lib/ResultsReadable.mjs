@@ -5,7 +5,8 @@ import { Readable } from 'stream';
  * @property {string} [opening]
  * @property {string} [closing]
  * @property {string} separator
- * @property {(s: import('@m-ld/m-ld').GraphSubject) => string | Promise<string>} stringify
+ * @property {(s: import('@m-ld/m-ld').GraphSubject) => string | null | Promise<string | null>} stringify
+ * returns `null` if the subject should be omitted from the output
  */
 
 /**
@@ -30,10 +31,19 @@ export default class ResultsReadable extends Readable {
     };
     this.subs = results.subscribe({
       next: async bite => {
-        openIfRequired();
-        const subjectStr = await format.stringify(bite.value);
-        this.push(Buffer.from(`${this.index++ ? format.separator : ''}${subjectStr}`));
-        this.next = bite.next;
+        try {
+          openIfRequired();
+          const subjectStr = await format.stringify(bite.value);
+          if (subjectStr != null) {
+            this.push(Buffer.from(`${this.index++ ? format.separator : ''}${subjectStr}`));
+            this.next = bite.next;
+          } else {
+            bite.next(); // Nothing pushed, so no read will be requested
+          }
+        } catch (e) {
+          // Otherwise, an unhandled rejection
+          this.destroy(e);
+        }
       },
       complete: () => {
         openIfRequired();
@@ -0,0 +1,125 @@
+import { formatDay } from './util.mjs';
+
+/**
+ * A rule for rounding durations in reports, for example for billing in
+ * 15-minute increments. Stored durations are never rounded.
+ */
+export default class Rounding {
+  /**
+   * @param {string} [str] e.g. `15m`, `6m up` or `15m nearest per day`;
+   * `none` for no rounding
+   * @returns {Rounding | undefined}
+   * @throws {RangeError} if not interpretable
+   */
+  static parse(str) {
+    if (str == null || str === 'none')
+      return undefined;
+    const [incrementStr, ...options] = `${str}`.trim().split(/\s+/);
+    const match = incrementStr.match(/^(\d+(?:\.\d+)?)(m|h)?$/);
+    const spec = {
+      increment: match != null ? Number(match[1]) * (match[2] === 'h' ? 60 : 1) : NaN
+    };
+    for (let option of options) {
+      if (Rounding.MODES.includes(option))
+        spec.mode = option;
+      else if (Rounding.PER.includes(option))
+        spec.per = option;
+      else if (option !== 'per')
+        spec.increment = NaN;
+    }
+    if (!(spec.increment > 0))
+      throw new RangeError(`Cannot interpret "${str}" as a rounding, ` +
+        'try e.g. "15m", "6m up" or "15m nearest per day"');
+    return new Rounding(spec);
+  }
+
+  /** @type {('up'|'down'|'nearest')[]} */
+  static MODES = ['up', 'down', 'nearest'];
+  /** @type {('entry'|'day')[]} */
+  static PER = ['entry', 'day'];
+
+  /**
+   * @param {number} increment in minutes
+   * @param {'up'|'down'|'nearest'} [mode]
+   * @param {'entry'|'day'} [per] whether to round each entry, or the total of
+   * each day's entries
+   */
+  constructor({ increment, mode = 'nearest', per = 'entry' }) {
+    this.increment = increment;
+    this.mode = mode;
+    this.per = per;
+  }
+
+  /**
+   * @param {number} duration in minutes
+   * @returns {number} rounded duration in minutes
+   */
+  round(duration) {
+    const increments = duration / this.increment;
+    return this.increment * (this.mode === 'up' ? Math.ceil(increments) :
+      this.mode === 'down' ? Math.floor(increments) : Math.round(increments));
+  }
+
+  /**
+   * @param {string} [timeZone] time zone for days, if rounding per day
+   * @returns {RoundedTotal} an accumulator of rounded entry durations
+   */
+  newTotal(timeZone) {
+    return new RoundedTotal(this, timeZone);
+  }
+
+  /**
+   * @returns {string} a description suitable for labelling rounded values,
+   * e.g. "rounded up to 15 minutes per day"
+   */
+  get description() {
+    return `rounded ${this.mode === 'nearest' ? 'to the nearest' : this.mode + ' to'} ` +
+      `${this.increment} minutes per ${this.per}`;
+  }
+
+  toString() {
+    return `${this.increment}m ${this.mode} per ${this.per}`;
+  }
+}
+
+/**
+ * Total of entry durations, with rounding applied per entry or per day
+ */
+export class RoundedTotal {
+  /** @type {Map<string, number>} unrounded totals by date in the time zone */
+  days = new Map;
+  /** @type {number} rounded total of entries */
+  entries = 0;
+
+  /**
+   * @param {Rounding} rounding
+   * @param {string} [timeZone] IANA time zone name; local if not specified
+   */
+  constructor(rounding, timeZone) {
+    this.rounding = rounding;
+    this.timeZone = timeZone;
+  }
+
+  /**
+   * @param {Date} start entry start
+   * @param {number} [duration] entry duration; missing if running
+   */
+  add(start, duration = 0) {
+    if (this.rounding.per === 'day') {
+      const day = formatDay(start, this.timeZone);
+      this.days.set(day, (this.days.get(day) ?? 0) + duration);
+    } else {
+      this.entries += this.rounding.round(duration);
+    }
+  }
+
+  /**
+   * @returns {number} the rounded total, in minutes
+   */
+  get value() {
+    let total = this.entries;
+    for (let dayTotal of this.days.values())
+      total += this.rounding.round(dayTotal);
+    return total;
+  }
+}
@@ -69,3 +69,65 @@ export const isDate = {
 export const withDoc = doc => ({
   metadata: { description: doc }
 });
+
+/**
+ * @param {string} [timeZone] IANA time zone name, e.g. `Europe/London`
+ * @returns {string} the canonical time zone name, or the local time zone if
+ * not specified
+ * @throws {RangeError} if the time zone is not known
+ */
+export function toTimeZone(timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch (e) {
+    throw new RangeError(`Unknown time zone "${timeZone}", try e.g. "Europe/London"`);
+  }
+}
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const wallClockFormats = new Map;
+
+/**
+ * Wall-clock time is represented by a Date whose UTC fields are the local
+ * fields in the time zone, so that it can be manipulated with the `UTC`
+ * methods of Date, without daylight saving transitions.
+ *
+ * @param {Date} date
+ * @param {string} [timeZone] IANA time zone name; local if not specified
+ * @returns {Date} the wall-clock time of the date in the time zone
+ */
+export function toWallClock(date, timeZone) {
+  let format = wallClockFormats.get(timeZone);
+  if (format == null) {
+    wallClockFormats.set(timeZone, format = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric',
+      day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }));
+  }
+  const fields = Object.fromEntries(format.formatToParts(date)
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)]));
+  return new Date(Date.UTC(fields.year, fields.month - 1, fields.day,
+    fields.hour, fields.minute, fields.second, date.getUTCMilliseconds()));
+}
+
+/**
+ * @param {Date} wallClock wall-clock time, see {@link toWallClock}
+ * @param {string} [timeZone] IANA time zone name; local if not specified
+ * @returns {Date} the actual time of the wall-clock time in the time zone. A
+ * wall-clock time skipped by daylight saving resolves to just after the skip.
+ */
+export function fromWallClock(wallClock, timeZone) {
+  const offset = time => toWallClock(new Date(time), timeZone).getTime() - time;
+  const guess = wallClock.getTime() - offset(wallClock.getTime());
+  return new Date(wallClock.getTime() - offset(guess));
+}
+
+/**
+ * @param {Date} date
+ * @param {string} [timeZone] IANA time zone name; local if not specified
+ * @returns {string} the date in the time zone in ISO format, e.g. 2022-06-01
+ */
+export function formatDay(date, timeZone) {
+  return toWallClock(date, timeZone).toISOString().slice(0, 10);
+}
@@ -0,0 +1,65 @@
+import { describe, expect, test } from '@jest/globals';
+import { ExternalFormat, isDomainEntity } from '..';
+import { validate } from 'jtd';
+
+describe('External format', () => {
+  class TestFormat extends ExternalFormat {
+    import(src) {
+      return {
+        activity: src.what,
+        start: src.when,
+        duration: src.minutes,
+        external: `http://ex.com/entry/${src.id}`,
+        project: src.project != null ? {
+          '@id': ExternalFormat.projectName(src.project, src.client),
+          external: `http://ex.com/project/${src.project}`
+        } : undefined
+      };
+    }
+  }
+
+  test('makes project names', () => {
+    expect(ExternalFormat.projectName('Web Site')).toBe('web-site');
+    expect(ExternalFormat.projectName('Web Site', 'Acme, Inc.')).toBe('acme-inc-web-site');
+  });
+
+  test('parses date and time in the time zone', () => {
+    expect(new TestFormat({ timeZone: 'Asia/Tokyo' }).parseDateTime('2022-06-01T09:00:00'))
+      .toEqual(new Date('2022-06-01T00:00:00Z'));
+    expect(new TestFormat({ timeZone: 'America/New_York' }).parseDateTime('06/01/2022 09:00:00 PM'))
+      .toEqual(new Date('2022-06-02T01:00:00Z'));
+  });
+
+  test('produces domain entities', () => {
+    const entities = new TestFormat().domainEntities([
+      { id: 1, what: 'testing', when: '2022-06-06T09:00:00Z', minutes: 60, project: 'Web' },
+      { id: 2, what: 'coding', when: '2022-06-06T10:00:00Z', project: 'Web' },
+      { id: 3, what: 'admin', when: '2022-06-06T11:00:00Z' }
+    ], { account: 'test', timesheet: 'ts1' });
+    expect(entities).toEqual([{
+      '@id': 'test/web', '@type': 'Project',
+      external: { '@id': 'http://ex.com/project/Web' }
+    }, {
+      '@id': 'test/ts1', '@type': 'Timesheet',
+      project: [{ '@id': 'test/web' }]
+    }, {
+      '@type': 'Entry',
+      session: { '@id': 'test/ts1' },
+      activity: 'testing',
+      'vf:provider': { '@id': 'test' },
+      start: {
+        '@type': 'http://www.w3.org/2001/XMLSchema#dateTime',
+        '@value': '2022-06-06T09:00:00.000Z'
+      },
+      duration: 60,
+      project: { '@id': 'test/web' },
+      external: { '@id': 'http://ex.com/entry/1' }
+    }, expect.objectContaining({
+      activity: 'coding', project: { '@id': 'test/web' }
+    }), expect.not.objectContaining({
+      project: expect.anything()
+    })]);
+    for (let entity of entities)
+      expect(validate(isDomainEntity, entity)).toEqual([]);
+  });
+});
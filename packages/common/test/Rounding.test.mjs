@@ -0,0 +1,71 @@
+import { describe, expect, test } from '@jest/globals';
+import { Rounding } from '..';
+
+describe('Rounding', () => {
+  test('parses increment', () => {
+    expect(Rounding.parse('15m')).toMatchObject({ increment: 15, mode: 'nearest', per: 'entry' });
+    expect(Rounding.parse('6')).toMatchObject({ increment: 6 });
+    expect(Rounding.parse('0.5h')).toMatchObject({ increment: 30 });
+  });
+
+  test('parses mode and per', () => {
+    expect(Rounding.parse('15m up per day'))
+      .toMatchObject({ increment: 15, mode: 'up', per: 'day' });
+    expect(Rounding.parse('6m down entry'))
+      .toMatchObject({ increment: 6, mode: 'down', per: 'entry' });
+  });
+
+  test('parses none', () => {
+    expect(Rounding.parse('none')).toBeUndefined();
+    expect(Rounding.parse(undefined)).toBeUndefined();
+  });
+
+  test('rejects garbage', () => {
+    expect(() => Rounding.parse('15x')).toThrow(RangeError);
+    expect(() => Rounding.parse('15m sideways')).toThrow(RangeError);
+    expect(() => Rounding.parse('0m')).toThrow(RangeError);
+  });
+
+  test('round trips as string', () => {
+    const rounding = Rounding.parse('15m up per day');
+    expect(Rounding.parse(rounding.toString())).toEqual(rounding);
+  });
+
+  test('rounds durations', () => {
+    expect(Rounding.parse('15m up').round(16)).toBe(30);
+    expect(Rounding.parse('15m down').round(29)).toBe(15);
+    expect(Rounding.parse('15m').round(22)).toBe(15);
+    expect(Rounding.parse('15m').round(23)).toBe(30);
+    expect(Rounding.parse('6m up').round(60)).toBe(60);
+  });
+
+  test('describes rounding', () => {
+    expect(Rounding.parse('15m up per day').description)
+      .toBe('rounded up to 15 minutes per day');
+    expect(Rounding.parse('6m').description)
+      .toBe('rounded to the nearest 6 minutes per entry');
+  });
+
+  test('totals per entry', () => {
+    const total = Rounding.parse('15m up').newTotal();
+    total.add(new Date(2022, 5, 1, 10), 10);
+    total.add(new Date(2022, 5, 1, 11), 10);
+    total.add(new Date(2022, 5, 1, 12)); // running
+    expect(total.value).toBe(30);
+  });
+
+  test('totals per day', () => {
+    const total = Rounding.parse('15m up per day').newTotal();
+    total.add(new Date(2022, 5, 1, 10), 10);
+    total.add(new Date(2022, 5, 1, 11), 10);
+    total.add(new Date(2022, 5, 2, 10), 50);
+    expect(total.value).toBe(30 + 60);
+  });
+
+  test('totals per day in time zone', () => {
+    const total = Rounding.parse('15m up per day').newTotal('America/New_York');
+    total.add(new Date('2022-06-01T23:00:00Z'), 5); // 7pm in New York
+    total.add(new Date('2022-06-02T01:00:00Z'), 5); // 9pm in New York
+    expect(total.value).toBe(15);
+  });
+});
@@ -1,4 +1,4 @@
-import { Entry, isDomainEntity, Project, Timesheet } from '..';
+import { Entry, isDomainEntity, Project, Session, Timesheet } from '..';
 import { isPropertiesForm, isSchema, isValidSchema, validate } from 'jtd';
 import { exampleEntryJson, exampleProjectJson, exampleTimesheetJson } from './fixtures.mjs';
 
@@ -34,6 +34,62 @@ describe('Timesheet entry', () => {
     expect(entry.providerId).toBe('test');
     expect(entry.start.toISOString()).toBe('2022-05-06T10:24:22.139Z');
     expect(entry.duration).toBe(60);
+    expect(entry.tags).toEqual([]);
+  });
+
+  test('with project', () => {
+    const json = { ...exampleEntryJson(), project: { '@id': 'test/pr1' } };
+    expect(validate(Entry.SCHEMA, json)).toEqual([]);
+    expect(Entry.fromJSON(json).projectId).toBe('test/pr1');
+    expect(Entry.fromJSON(json).toJSON()).toEqual(json);
+  });
+
+  test('with note', () => {
+    const json = { ...exampleEntryJson(), note: 'discussed release' };
+    expect(validate(Entry.SCHEMA, json)).toEqual([]);
+    expect(Entry.fromJSON(json).note).toBe('discussed release');
+    expect(Entry.fromJSON(json).toJSON()).toEqual(json);
+  });
+
+  test('with tags', () => {
+    const json = { ...exampleEntryJson(), tag: ['acme', 'billable'] };
+    expect(validate(Entry.SCHEMA, json)).toEqual([]);
+    const entry = Entry.fromJSON(json);
+    expect(entry.tags).toEqual(['acme', 'billable']);
+    expect(entry.toJSON()).toEqual(json);
+  });
+
+  test('with time zone', () => {
+    const json = { ...exampleEntryJson(), timeZone: 'Europe/London' };
+    expect(validate(Entry.SCHEMA, json)).toEqual([]);
+    expect(Entry.fromJSON(json).timeZone).toBe('Europe/London');
+    expect(Entry.fromJSON(json).toJSON()).toEqual(json);
+  });
+
+  test('revenue', () => {
+    const json = exampleEntryJson();
+    expect(Entry.fromJSON(json).revenue()).toBeUndefined();
+    expect(Entry.fromJSON(json).revenue(30)).toBe(30);
+    expect(Entry.fromJSON({ ...json, rate: 50 }).revenue(30)).toBe(50);
+    expect(Entry.fromJSON({ ...json, rate: 50, billable: false }).revenue()).toBeUndefined();
+    const { duration, ...running } = json;
+    expect(Entry.fromJSON({ ...running, rate: 50 }).revenue()).toBeUndefined();
+    expect(validate(Entry.SCHEMA, { ...json, rate: 50.5, billable: true })).toEqual([]);
+  });
+
+  test('revenue with project rates', () => {
+    const json = exampleEntryJson();
+    const pr1 = 'http://ex.org/test/pr1', pr2 = 'http://ex.org/test/pr2';
+    const inPr2 = { ...json, project: { '@id': pr2 } };
+    expect(Entry.fromJSON(json).projectRevenue(new Map)).toBeUndefined();
+    expect(Entry.fromJSON(json).projectRevenue(new Map([[pr1, 30]]))).toBe(30);
+    expect(Entry.fromJSON(json).projectRevenue(new Map([[pr1, 30], [pr2, 40]])))
+      .toBeUndefined();
+    expect(Entry.fromJSON(inPr2).projectRevenue(new Map([[pr1, 30], [pr2, 40]]))).toBe(40);
+    expect(Entry.fromJSON(inPr2).projectRevenue(new Map([[pr1, 30], [pr2, undefined]])))
+      .toBeUndefined();
+    expect(Entry.fromJSON({ ...inPr2, rate: 50 }).projectRevenue(new Map([[pr2, 40]])))
+      .toBe(50);
   });
 });
 
@@ -57,4 +113,42 @@ describe('Timesheet', () => {
     const timesheet = Timesheet.fromJSON(exampleTimesheetJson);
     expect(timesheet.id.toString()).toBe('test/ts1');
   });
-});
\ No newline at end of file
+});
+describe('Session', () => {
+  test('has defaults', () => {
+    const session = new Session();
+    expect(session.id).toEqual(expect.any(String));
+    expect(session.startTime).toBeInstanceOf(Date);
+    expect(session.claimEntryId()).toBe(1);
+  });
+
+  test('accepts positional arguments', () => {
+    const startTime = new Date('2022-06-06T09:00:00Z');
+    const session = new Session('session1', startTime, 3);
+    expect(session.id).toBe('session1');
+    expect(session.startTime).toBe(startTime);
+    expect(session.claimEntryId()).toBe(3);
+    expect(new Session(undefined, startTime).id).toEqual(expect.any(String));
+  });
+
+  test('to JSON', () => {
+    const session = new Session({
+      id: 'session1',
+      startTime: new Date('2022-06-06T09:00:00Z'),
+      timeZone: 'Europe/London',
+      providerId: 'http://ex.org/test',
+      client: 'test client'
+    });
+    expect(session.toJSON()).toEqual({
+      '@id': 'session1',
+      '@type': 'Session',
+      start: {
+        '@type': 'http://www.w3.org/2001/XMLSchema#dateTime',
+        '@value': '2022-06-06T09:00:00.000Z'
+      },
+      timeZone: 'Europe/London',
+      'vf:provider': { '@id': 'http://ex.org/test' },
+      client: 'test client'
+    });
+  });
+});
@@ -281,12 +281,22 @@ export default class Account {
       await this.checkAccess(state, { id: tsId, forWrite: 'Timesheet' });
       if (await this.gateway.isGenesisTs(state, tsId))
         throw new errors.BadRequestError('Timesheet not found: %s', tsId);
+      if (src['project'] != null) {
+        if (!(await new Ask(state).exists(
+          timesheetHasProject(tsId.toIri(), src['project']['@id']))))
+          throw new errors.BadRequestError(
+            'Project %s is not linked to timesheet %s', src['project']['@id'], tsId);
+        // The timesheet domain has a different base, so use an absolute IRI
+        src = { ...src, project: this.gateway.ownedRefAsId(src['project']).toReference() };
+      }
       const tsClone = await this.gateway.initTimesheet(tsId, false);
       await tsClone.write(async state => {
         const tsIri = tsId.toIri();
         // Create session in timesheet if required
         if (!(tsIri in sessions))
-          state = await state.write((sessions[tsIri] = new Session()).toJSON());
+          state = await state.write((sessions[tsIri] = new Session({
+            client: 'timeld Gateway import'
+          })).toJSON());
         // Check if a given entry ID already exists
         if (src['external'] != null) {
           const existing = (await state.read({
@@ -1,14 +1,15 @@
 import Account from './Account.mjs';
 import { randomInt } from 'crypto';
 import Cryptr from 'cryptr';
-import { uuid } from '@m-ld/m-ld';
-import { AblyKey, BaseGateway, Env, safeRefsIn, timeldContext } from 'timeld-common';
+import { propertyValue, uuid } from '@m-ld/m-ld';
+import {
+  AblyKey, AccountOwnedId, BaseGateway, Entry, Env, Project, safeRefsIn, timeldContext
+} from 'timeld-common';
 import jsonwebtoken from 'jsonwebtoken';
 import LOG from 'loglevel';
 import { access, rm, writeFile } from 'fs/promises';
 import errors from 'restify-errors';
 import { accountHasTimesheet, Ask } from './statements.mjs';
-import { concat } from 'rxjs';
 import { consume } from 'rx-flowable/consume';
 
 /**
@@ -36,6 +37,8 @@ export default class Gateway extends BaseGateway {
     this.clone = clone;
     this.ablyApi = ablyApi;
     this.timesheetDomains = /**@type {{ [name: string]: MeldClone }}*/{};
+    /** Running entries already reminded, as `domain entry-id` */
+    this.remindedEntries = new Set;
   }
 
   async initialise() {
@@ -51,7 +54,7 @@ export default class Gateway extends BaseGateway {
       }).consume.subscribe(({ value, next }) => {
         this.timesheetAdded(this.ownedRefAsId(value['?tsh'])).finally(next);
       });
-    }, update => {
+    }, (update, state) => {
       // And watch for timesheets appearing and disappearing
       // noinspection JSCheckFunctionSignatures
       return Promise.all([
@@ -60,7 +63,27 @@ export default class Gateway extends BaseGateway {
             this.timesheetRemoved(this.ownedRefAsId(tsRef))))),
         ...update['@insert'].map(subject => Promise.all(
           safeRefsIn(subject, 'timesheet').map(tsRef =>
-            this.timesheetAdded(this.ownedRefAsId(tsRef)))))
+            this.timesheetAdded(this.ownedRefAsId(tsRef))))),
+        // And for timesheet project links changing
+        ...[...update['@delete'], ...update['@insert']]
+          .filter(subject => subject.project != null)
+          .map(async subject => {
+            if ((await state.get(subject['@id']))?.['@type'] === 'Timesheet')
+              await this.linkProjects(this.ownedRefAsId(subject), state);
+          }),
+        // And for project default rates or external identities changing
+        ...[...update['@delete'], ...update['@insert']]
+          .filter(subject => Object.keys(LINKED_PROPERTIES).some(key => subject[key] != null))
+          .map(async subject => {
+            for (let { '?ts': tsRef } of await state.read({
+              '@select': '?ts',
+              '@where': {
+                '@id': '?ts', '@type': 'Timesheet',
+                project: { '@id': subject['@id'], '@type': 'Project' }
+              }
+            }))
+              await this.linkProjects(this.ownedRefAsId(tsRef), state);
+          })
       ]);
     });
     return this;
@@ -187,6 +210,8 @@ export default class Gateway extends BaseGateway {
         await state.write(accountHasTimesheet(tsId));
       });
     }
+    // Ensure the timesheet has its current project links
+    await this.linkProjects(tsId, this.domain);
     // Return the config required for a new clone
     return Object.assign(Env.mergeConfig(this.config, {
       '@id': false, // Remove identity
@@ -195,6 +220,74 @@ export default class Gateway extends BaseGateway {
     }), { genesis: false }); // Definitely not genesis
   }
 
+  /**
+   * Copies the projects linked to a timesheet in the gateway domain into the
+   * timesheet domain, with their default hourly rates and external identities,
+   * so that timesheet entries can be assigned to them, and their revenue
+   * reported and exported. Only the differences from the timesheet domain are
+   * written, if any. An external identity written in the timesheet domain,
+   * for example by an import, is kept unless the project has its own.
+   *
+   * @param {AccountOwnedId} tsId
+   * @param {import('@m-ld/m-ld').MeldReadState} state gateway domain state
+   * @returns {Promise<void>}
+   */
+  async linkProjects(tsId, state) {
+    const tsClone = this.timesheetDomains[tsId.toDomain()];
+    if (tsClone != null) {
+      const ts = await state.get(tsId.toIri());
+      const projects = ts != null ? await this.linkedProjects(ts, state) : new Map;
+      // The timesheet domain has a different base, so use absolute IRIs
+      const tsIri = tsId.toIri();
+      await tsClone.write(async tsState => {
+        /** Values of currently linked projects, which may be concurrent */
+        const linked = new Map;
+        for (let { '?project': { '@id': id } } of await tsState.read({
+          '@select': '?project', '@where': { '@id': tsIri, project: '?project' }
+        })) {
+          linked.set(id, linkedValues(await tsState.get(id)));
+        }
+        const deletes = [], inserts = [];
+        for (let [id, values] of linked) {
+          if (!projects.has(id))
+            deletes.push({ '@id': tsIri, project: { '@id': id } }, ...valueSubjects(id, values));
+        }
+        for (let [id, project] of projects) {
+          const values = projectValues(project);
+          const linkedProject = linked.get(id);
+          if (linkedProject == null) {
+            inserts.push({ '@id': tsIri, '@type': 'Timesheet', project: { '@id': id } },
+              { '@id': id, '@type': 'Project' }, ...valueSubjects(id, values));
+          } else {
+            for (let [key, linkedKeyValues] of Object.entries(linkedProject)) {
+              if (!sameValues(linkedKeyValues, values[key]) &&
+                (key !== 'external' || values[key].length > 0)) {
+                deletes.push(...valueSubjects(id, { [key]: linkedKeyValues }));
+                inserts.push(...valueSubjects(id, { [key]: values[key] }));
+              }
+            }
+          }
+        }
+        if (deletes.length > 0 || inserts.length > 0)
+          await tsState.write({ '@delete': deletes, '@insert': inserts });
+      });
+    }
+  }
+
+  /**
+   * @param {import('@m-ld/m-ld').GraphSubject} ts timesheet
+   * @param {import('@m-ld/m-ld').MeldReadState} state gateway domain state
+   * @returns {Promise<Map<string, Project | undefined>>} all the projects
+   * linked to the timesheet, by absolute project IRI
+   */
+  async linkedProjects(ts, state) {
+    return new Map(await Promise.all(safeRefsIn(ts, 'project').map(async ref => {
+      const project = await state.get(ref['@id']);
+      return [this.ownedRefAsId(ref).toIri(),
+        project != null ? Project.fromJSON(project) : undefined];
+    })));
+  }
+
   /**
    * @param {import('@m-ld/m-ld').MeldReadState} state
    * @param {AccountOwnedId} tsId
@@ -228,26 +321,41 @@ export default class Gateway extends BaseGateway {
    * 1. The project, if applicable
    * 2. The timesheet OR all timesheets in the project, each followed
    * immediately by its entries
+   * 3. A `Total` of the entry durations and revenue
+   *
+   * Entries with a revenue, from their own hourly rate or the project default
+   * (see {@link Entry#projectRevenue}), have it included as a `revenue` property. Entries for
+   * a project with an external identity have it included in their `project`
+   * reference. If a timesheet in a project is also linked to other projects,
+   * only its entries for the project are included.
+   *
+   * If a rounding is given, the total (and entries, if rounding per entry)
+   * include a `roundedDuration`; and the total includes the `rounding`.
    *
    * @param {AccountOwnedId} ownedId
+   * @param {Rounding} [rounding]
+   * @param {string} [timeZone] time zone for days, if rounding per day
    * @returns {Promise<Results>}
    */
-  report(ownedId) {
+  report(ownedId, rounding, timeZone = 'UTC') {
     return new Promise(async (resolve, reject) => {
       this.domain.read(async state => {
         try {
           const owned = await state.get(ownedId.toIri());
           switch (owned?.['@type']) {
             case 'Timesheet':
-              return resolve(await this.reportTimesheet(owned));
+              return resolve(withTotal(await this.reportTimesheet(
+                owned, await this.linkedProjects(owned, state)), rounding, timeZone));
             case 'Project':
               // Don't hold the gateway domain open while all timesheets are output
               const timesheets = await state.read({
                 '@describe': '?ts',
                 '@where': { '@id': '?ts', '@type': 'Timesheet', project: owned['@id'] }
               });
-              const tsFlows = await Promise.all(timesheets.map(this.reportTimesheet));
-              return resolve(concat(consume([owned]), ...tsFlows));
+              const tsReports = await Promise.all(timesheets.map(async ts =>
+                this.reportTimesheet(ts, await this.linkedProjects(ts, state),
+                  safeRefsIn(ts, 'project').length > 1 ? ownedId.toIri() : undefined)));
+              return resolve(withTotal([owned].concat(...tsReports), rounding, timeZone));
             default:
               return reject(new errors.NotFoundError('%s not found', ownedId));
           }
@@ -260,20 +368,91 @@ export default class Gateway extends BaseGateway {
 
   /**
    * @param {import('@m-ld/m-ld').GraphSubject} ts
-   * @returns {Promise<Results>}
+   * @param {Map<string, Project | undefined>} projects the timesheet's
+   * projects, for default rates and external identities
+   * @param {string} [projectId] only report entries for this project
+   * @returns {Promise<import('@m-ld/m-ld').GraphSubject[]>}
    */
-  reportTimesheet = async ts => {
+  reportTimesheet = async (ts, projects, projectId) => {
     const tsId = this.ownedRefAsId(ts);
     const tsClone = await this.initTimesheet(tsId, false);
+    const projectRates = new Map([...projects].map(([id, project]) => [id, project?.rate]));
     // FIXME: Bug in m-ld-js does not permit result consumable to be subscribed
     // after read completes. Should be using read(<req>).consume.
     const result = await tsClone.read({
       '@describe': '?entry',
       '@where': { '@id': '?entry', '@type': 'Entry' }
     });
-    return concat(consume([ts]), consume(result));
+    return [ts, ...result
+      .filter(src => projectId == null || src.project?.['@id'] === projectId)
+      .map(src => withProject(src, projects, projectRates))];
   };
 
+  /**
+   * Emails the provider of every entry, in all timesheets, which has been
+   * running (having no duration) for longer than the given threshold. Each
+   * entry is only reminded once, however many times this is called.
+   *
+   * @param {import('./Notifier.mjs').default} notifier
+   * @param {number} threshold minutes
+   * @param {Date} [now]
+   * @returns {Promise<number>} the number of reminders sent
+   */
+  async remindRunning(notifier, threshold, now = new Date) {
+    const reminded = new Set;
+    let sent = 0;
+    for (let [domain, tsClone] of Object.entries(this.timesheetDomains)) {
+      const tsId = AccountOwnedId.fromDomain(domain);
+      const running = (await tsClone.read({
+        '@describe': '?entry',
+        '@where': { '@id': '?entry', '@type': 'Entry' }
+      })).filter(src => src.duration == null);
+      for (let src of running) {
+        const key = `${domain} ${src['@id']}`;
+        if (this.remindedEntries.has(key)) {
+          reminded.add(key); // Still running, but already reminded
+          continue;
+        }
+        let entry;
+        try {
+          entry = Entry.fromJSON(src);
+        } catch (e) {
+          continue; // Malformed entries are found by the timesheet check
+        }
+        if (now - entry.start < threshold * 60000)
+          continue;
+        const account = await this.providerAccount(entry.providerId);
+        for (let email of account?.emails ?? []) {
+          try {
+            await notifier.sendTimerReminder(email, tsId.toString(), entry);
+            sent++;
+          } catch (e) {
+            LOG.warn('Failed to send timer reminder', key, e);
+          }
+        }
+        reminded.add(key);
+      }
+    }
+    // Forget entries which are no longer running
+    this.remindedEntries = reminded;
+    return sent;
+  }
+
+  /**
+   * @param {string} providerId entry provider IRI, possibly relative to the
+   * gateway domain
+   * @returns {Promise<Account | undefined>} the provider's account, if it is
+   * registered with this gateway
+   */
+  async providerAccount(providerId) {
+    const url = new URL(providerId, `http://${this.domainName}`);
+    if (url.hostname === this.domainName) {
+      const src = await this.domain.get(url.pathname.slice(1));
+      if (src?.['@type'] === 'Account')
+        return Account.fromJSON(this, src);
+    }
+  }
+
   close() {
     // Close the gateway domain
     return Promise.all([
@@ -283,3 +462,105 @@ export default class Gateway extends BaseGateway {
   }
 }
 
+/** Properties of linked projects copied into timesheet domains, by type */
+const LINKED_PROPERTIES = { rate: Number, external: Object };
+
+/**
+ * @param {import('@m-ld/m-ld').GraphSubject} [src] project
+ * @returns {{ [key: string]: *[] }} the values of the linked properties
+ */
+function linkedValues(src) {
+  return Object.fromEntries(Object.entries(LINKED_PROPERTIES).map(([key, type]) =>
+    [key, src != null ? propertyValue(src, key, Array, type) : []]));
+}
+
+/**
+ * @param {Project} [project] gateway project
+ * @returns {{ [key: string]: *[] }} the values of the linked properties
+ */
+function projectValues(project) {
+  return {
+    rate: project?.rate != null ? [project.rate] : [],
+    external: project?.externalId != null ? [{ '@id': project.externalId }] : []
+  };
+}
+
+/**
+ * @param {string} id project IRI
+ * @param {{ [key: string]: *[] }} values property values
+ * @returns {import('@m-ld/m-ld').Subject[]} one subject per value
+ */
+function valueSubjects(id, values) {
+  return Object.entries(values).flatMap(([key, keyValues]) =>
+    keyValues.map(value => ({ '@id': id, [key]: value })));
+}
+
+/**
+ * @param {*[]} values1 numbers or references
+ * @param {*[]} values2 numbers or references
+ * @returns {boolean}
+ */
+function sameValues(values1, values2) {
+  const key = value => value?.['@id'] ?? value;
+  return values1.length === values2.length &&
+    values1.every((value, i) => key(value) === key(values2[i]));
+}
+
+/**
+ * @param {import('@m-ld/m-ld').GraphSubject} src entry
+ * @param {Map<string, Project | undefined>} projects
+ * @param {Map<string, number | undefined>} projectRates
+ * @returns {import('@m-ld/m-ld').GraphSubject} the entry, with any revenue,
+ * and any external identity of its project
+ */
+function withProject(src, projects, projectRates) {
+  try {
+    const entry = Entry.fromJSON(src);
+    const revenue = entry.projectRevenue(projectRates);
+    const external = projects.get(entry.projectId)?.externalId;
+    return {
+      ...src,
+      ...revenue != null ? { revenue } : {},
+      ...external != null ? {
+        project: { '@id': entry.projectId, external: { '@id': external } }
+      } : {}
+    };
+  } catch (e) {
+    return src; // Malformed entries are reported as-is
+  }
+}
+
+/**
+ * @param {import('@m-ld/m-ld').GraphSubject[]} subjects
+ * @param {Rounding} [rounding]
+ * @param {string} [timeZone] time zone for days, if rounding per day
+ * @returns {Results} the subjects followed by a total of their entries
+ */
+function withTotal(subjects, rounding, timeZone) {
+  const total = { '@type': 'Total', duration: 0 };
+  const roundedTotal = rounding?.newTotal(timeZone);
+  subjects = subjects.map(src => {
+    if (src['@type'] === 'Entry') {
+      if (src.revenue != null)
+        total.revenue = (total.revenue ?? 0) + src.revenue;
+      if (typeof src.duration == 'number') {
+        total.duration += src.duration;
+        if (rounding != null) {
+          try {
+            roundedTotal.add(propertyValue(src, 'start', Date), src.duration);
+            if (rounding.per === 'entry')
+              return { ...src, roundedDuration: rounding.round(src.duration) };
+          } catch (e) {
+            // Malformed entries are reported as-is
+          }
+        }
+      }
+    }
+    return src;
+  });
+  if (rounding != null) {
+    total.roundedDuration = roundedTotal.value;
+    total.rounding = rounding.toString();
+  }
+  return consume([...subjects, total]);
+}
@@ -17,4 +17,29 @@ export default class Notifier {
       }
     });
   }
+
+  /**
+   * Reminds a user that a timer has been left running in a timesheet
+   *
+   * @param {string} email
+   * @param {string} timesheet timesheet identity, e.g. `account/timesheet`
+   * @param {import('timeld-common').Entry} entry the running entry
+   */
+  sendTimerReminder(email, timesheet, entry) {
+    const start = entry.start.toLocaleString('en-GB', {
+      timeZone: entry.timeZone ?? 'UTC', timeZoneName: 'short'
+    });
+    return this.courier.send({
+      message: {
+        to: { email },
+        content: {
+          title: `Is "${entry.activity}" still running?`,
+          body: `Your timer for "${entry.activity}" in timesheet ${timesheet} ` +
+            `has been running since ${start}. If you have finished, please ` +
+            'stop it or set its duration.'
+        },
+        data: { timesheet, activity: entry.activity, start: entry.start.toISOString() }
+      }
+    });
+  }
 }
\ No newline at end of file
@@ -1,5 +1,7 @@
 import restify from 'restify';
-import { AccountOwnedId, isDomainEntity, ResultsReadable, timeldContext } from 'timeld-common';
+import {
+  AccountOwnedId, isDomainEntity, ResultsReadable, Rounding, timeldContext, toTimeZone
+} from 'timeld-common';
 import errors from 'restify-errors';
 import isEmail from 'validator/lib/isEmail.js';
 import Authorization from '../lib/Authorization.mjs';
@@ -7,6 +9,7 @@ import { pipeline } from 'stream/promises';
 import LOG from 'loglevel';
 import { consume } from 'rx-flowable/consume';
 import ndjson from 'ndjson';
+import MiteFormat from 'timeld-mite';
 
 /**
  * @param {Format} format
@@ -33,13 +36,56 @@ const HTML_FORMAT = {
 /**
  * @param {import('restify').Response} res
  * @param {Results} results
+ * @param {Format} [format]
+ * @param {string} [contentType]
  * @returns {Promise<void>}
  */
-async function sendStream(res, results) {
+async function sendStream(
+  res,
+  results,
+  format = ND_JSON_FORMAT,
+  contentType = 'application/x-ndjson'
+) {
   res.header('transfer-encoding', 'chunked');
-  res.header('content-type', 'application/x-ndjson');
+  res.header('content-type', contentType);
   res.status(200);
-  await pipeline(new ResultsReadable(results, ND_JSON_FORMAT), res);
+  await pipeline(new ResultsReadable(results, format), res);
+}
+
+/**
+ * @param {object} params request parameters
+ * @param {string} [params.format] requested report output format
+ * @param {string} [params.mite-account] mite account name, for the mite format
+ * @param {string} timeZone time zone for days, see {@link reportRounding}
+ * @returns {[Format, string] | []} format and content type, default if empty
+ * @throws {import('restify-errors').DefinedHttpError} if the format is bad
+ */
+function reportFormat({ format, 'mite-account': miteAccount }, timeZone) {
+  switch (format) {
+    case undefined:
+      return [];
+    case 'mite':
+      if (!miteAccount)
+        throw new errors.BadRequestError('Mite format requires mite-account');
+      return [new MiteFormat({ account_name: miteAccount, timeZone }), 'application/json'];
+    default:
+      throw new errors.BadRequestError('Unknown report format %s', format);
+  }
+}
+
+/**
+ * @param {object} params request parameters
+ * @param {string} [params.round] requested rounding, e.g. "15m up"
+ * @param {string} [params.tz] time zone for days, e.g. "Europe/London"
+ * @returns {[Rounding | undefined, string]} the rounding and time zone
+ * @throws {import('restify-errors').DefinedHttpError} if either is bad
+ */
+function reportRounding({ round, tz = 'UTC' }) {
+  try {
+    return [Rounding.parse(round), toTimeZone(tz)];
+  } catch (e) {
+    throw new errors.BadRequestError(e.message);
+  }
 }
 
 /**
@@ -142,8 +188,11 @@ export default function rest({ gateway, notifier }) {
       const { account, owned } = req.params;
       try {
         const id = gateway.ownedId(account, owned).validate();
+        const [rounding, timeZone] = reportRounding(req.params);
+        const [format, contentType] = reportFormat(req.params, timeZone);
         await new Authorization(req).verifyUser(gateway, { id });
-        await sendStream(res, await gateway.report(id));
+        await sendStream(res,
+          await gateway.report(id, rounding, timeZone), format, contentType);
         next();
       } catch (e) {
         next(e);
@@ -16,6 +16,8 @@ import gracefulShutdown from 'http-graceful-shutdown';
  * @property {string} TIMELD_GATEWAY_ABLY__KEY gateway Ably app key
  * @property {string} TIMELD_GATEWAY_ABLY__API_KEY gateway Ably api key
  * @property {string} TIMELD_GATEWAY_COURIER__AUTHORIZATION_TOKEN
+ * @property {string} [TIMELD_GATEWAY_REMIND_AFTER] minutes after which users
+ * are emailed about a running timer; no reminders if not set
  */
 
 const env = new Env({
@@ -38,6 +40,18 @@ const gateway = await new Gateway(env, config, clone, ablyApi).initialise();
 const notifier = new Notifier(config.courier);
 const server = rest({ gateway, notifier });
 
+// Periodically remind users of forgotten running timers
+const remindAfter = Number(config.remindAfter);
+const reminders = remindAfter > 0 ? setInterval(async () => {
+  try {
+    const sent = await gateway.remindRunning(notifier, remindAfter);
+    if (sent > 0)
+      LOG.info('Sent', sent, 'timer reminders');
+  } catch (e) {
+    LOG.warn('Failed to send timer reminders', e);
+  }
+}, 15 * 60 * 1000) : null;
+
 server.listen(8080, function () {
   // noinspection JSUnresolvedVariable
   console.log('%s listening at %s', server.name, server.url);
@@ -46,6 +60,7 @@ server.listen(8080, function () {
 gracefulShutdown(server, {
   async onShutdown() {
     LOG.info('Gateway shutting down...');
+    clearInterval(reminders);
     await gateway.close();
     LOG.info('Gateway shut down');
   }
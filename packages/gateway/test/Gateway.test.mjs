@@ -215,10 +215,32 @@ describe('Gateway', () => {
       const report = await gateway.report(tsId);
       await expect(drain(report)).resolves.toMatchObject([
         { '@id': 'test/ts1', '@type': 'Timesheet' },
-        { '@id': 'session123/1', '@type': 'Entry' } // Plus a lot more
+        { '@id': 'session123/1', '@type': 'Entry' }, // Plus a lot more
+        { '@type': 'Total', duration: 60 }
       ]);
     });
 
+    test('reminds of long-running entries once', async () => {
+      await gateway.domain.write({ '@id': 'test', '@type': 'Account', email: 'test@ex.org' });
+      const tsId = gateway.ownedId('test', 'ts1');
+      await gateway.timesheetConfig(tsId);
+      const { duration, ...running } = exampleEntryJson(new Date('2022-06-01T09:00:00Z'));
+      await gateway.timesheetDomains['ts1.test.ex.org'].write([
+        running, exampleEntryJson(new Date('2022-06-01T08:00:00Z'), 2)
+      ]);
+      const notifier = { sendTimerReminder: jest.fn() };
+      // Not yet running for long enough
+      await expect(gateway.remindRunning(
+        notifier, 240, new Date('2022-06-01T12:00:00Z'))).resolves.toBe(0);
+      await expect(gateway.remindRunning(
+        notifier, 240, new Date('2022-06-01T14:00:00Z'))).resolves.toBe(1);
+      expect(notifier.sendTimerReminder).toHaveBeenCalledWith('test@ex.org',
+        'test/ts1@ex.org', expect.objectContaining({ activity: 'testing', seqNo: '1' }));
+      // Only reminded once
+      await expect(gateway.remindRunning(
+        notifier, 240, new Date('2022-06-01T15:00:00Z'))).resolves.toBe(0);
+    });
+
     test('reports on non-existent timesheet', async () => {
       const tsId = gateway.ownedId('test', 'garbage');
       await expect(gateway.report(tsId)).rejects.toThrowError(errors.NotFoundError);
@@ -242,10 +264,202 @@ describe('Gateway', () => {
         { '@id': 'test/ts1', '@type': 'Timesheet' },
         { '@id': 'session123/0', '@type': 'Entry' },
         { '@id': 'test/ts2', '@type': 'Timesheet' },
-        { '@id': 'session123/1', '@type': 'Entry' }
+        { '@id': 'session123/1', '@type': 'Entry' },
+        { '@type': 'Total', duration: 120 }
       ]);
     });
 
+    test('links projects into timesheet', async () => {
+      const tsId = gateway.ownedId('test', 'ts1');
+      await gateway.timesheetConfig(tsId);
+      await gateway.domain.write({
+        '@insert': [ // brittle use of direct write
+          { '@id': 'test', project: { '@id': 'test/pr1', '@type': 'Project' } },
+          { '@id': 'test/ts1', project: { '@id': 'test/pr1' } }
+        ]
+      });
+      // Doing another write awaits all follow handlers
+      await gateway.domain.write({});
+      const tsClone = gateway.timesheetDomains['ts1.test.ex.org'];
+      await expect(tsClone.get(tsId.toIri())).resolves.toMatchObject({
+        '@type': 'Timesheet', project: { '@id': 'http://ex.org/test/pr1' }
+      });
+      await gateway.domain.write({
+        '@delete': { '@id': 'test/ts1', project: { '@id': 'test/pr1' } }
+      });
+      await gateway.domain.write({});
+      await expect(tsClone.get(tsId.toIri())).resolves.not.toHaveProperty('project');
+    });
+
+    test('links project rates into timesheet', async () => {
+      const tsId = gateway.ownedId('test', 'ts1');
+      await gateway.timesheetConfig(tsId);
+      await gateway.domain.write({
+        '@insert': [ // brittle use of direct write
+          { '@id': 'test', project: { '@id': 'test/pr1', '@type': 'Project', rate: 30 } },
+          { '@id': 'test/ts1', project: { '@id': 'test/pr1' } }
+        ]
+      });
+      await gateway.domain.write({});
+      const tsClone = gateway.timesheetDomains['ts1.test.ex.org'];
+      await expect(tsClone.get('http://ex.org/test/pr1')).resolves.toMatchObject({
+        '@type': 'Project', rate: 30
+      });
+      await gateway.domain.write({
+        '@delete': { '@id': 'test/pr1', rate: 30 },
+        '@insert': { '@id': 'test/pr1', rate: 40 }
+      });
+      await gateway.domain.write({});
+      await expect(tsClone.get('http://ex.org/test/pr1')).resolves.toMatchObject({
+        '@type': 'Project', rate: 40
+      });
+    });
+
+    test('links project external identity into timesheet', async () => {
+      const tsId = gateway.ownedId('test', 'ts1');
+      await gateway.timesheetConfig(tsId);
+      const external = { '@id': 'https://acme.mite.yo.lk/projects/1' };
+      await gateway.domain.write({
+        '@insert': [ // brittle use of direct write
+          { '@id': 'test', project: { '@id': 'test/pr1', '@type': 'Project', external } },
+          { '@id': 'test/ts1', project: { '@id': 'test/pr1' } }
+        ]
+      });
+      await gateway.domain.write({});
+      const tsClone = gateway.timesheetDomains['ts1.test.ex.org'];
+      await expect(tsClone.get('http://ex.org/test/pr1')).resolves.toMatchObject({
+        '@type': 'Project', external
+      });
+      await tsClone.write({
+        ...exampleEntryJson(new Date), project: { '@id': 'http://ex.org/test/pr1' }
+      });
+      const results = await drain(await gateway.report(tsId));
+      expect(results.find(src => src['@id'] === 'session123/1').project).toEqual({
+        '@id': 'http://ex.org/test/pr1', external
+      });
+    });
+
+    test('keeps timesheet project external identity', async () => {
+      const tsId = gateway.ownedId('test', 'ts1');
+      await gateway.timesheetConfig(tsId);
+      await gateway.domain.write({
+        '@insert': [ // brittle use of direct write
+          { '@id': 'test', project: { '@id': 'test/pr1', '@type': 'Project', rate: 30 } },
+          { '@id': 'test/ts1', project: { '@id': 'test/pr1' } }
+        ]
+      });
+      await gateway.domain.write({});
+      const tsClone = gateway.timesheetDomains['ts1.test.ex.org'];
+      const external = { '@id': 'https://acme.mite.yo.lk/projects/1' };
+      // e.g. by an import
+      await tsClone.write({ '@id': 'http://ex.org/test/pr1', external });
+      await gateway.domain.write({
+        '@delete': { '@id': 'test/pr1', rate: 30 },
+        '@insert': { '@id': 'test/pr1', rate: 40 }
+      });
+      await gateway.domain.write({});
+      await expect(tsClone.get('http://ex.org/test/pr1')).resolves.toMatchObject({
+        rate: 40, external
+      });
+    });
+
+    test('does not rewrite unchanged project links', async () => {
+      const tsId = gateway.ownedId('test', 'ts1');
+      await gateway.timesheetConfig(tsId);
+      await gateway.domain.write({
+        '@insert': [ // brittle use of direct write
+          {
+            '@id': 'test', project: [
+              { '@id': 'test/pr1', '@type': 'Project', rate: 30 },
+              { '@id': 'test/pr2', '@type': 'Project' }
+            ]
+          },
+          { '@id': 'test/ts1', project: [{ '@id': 'test/pr1' }, { '@id': 'test/pr2' }] }
+        ]
+      });
+      await gateway.domain.write({});
+      const tsClone = gateway.timesheetDomains['ts1.test.ex.org'];
+      const { ticks } = tsClone.status.value;
+      // Following the timesheet again links its projects again
+      await gateway.timesheetConfig(tsId);
+      expect(tsClone.status.value.ticks).toBe(ticks);
+      await gateway.domain.write({
+        '@delete': { '@id': 'test/ts1', project: { '@id': 'test/pr2' } }
+      });
+      await gateway.domain.write({});
+      expect(tsClone.status.value.ticks).toBeGreaterThan(ticks);
+      await expect(tsClone.get(tsId.toIri())).resolves.toMatchObject({
+        project: { '@id': 'http://ex.org/test/pr1' }
+      });
+      await expect(tsClone.get('http://ex.org/test/pr1')).resolves.toMatchObject({ rate: 30 });
+    });
+
+    test('reports revenue on a timesheet', async () => {
+      await gateway.timesheetConfig(gateway.ownedId('test', 'ts1'));
+      await gateway.domain.write({
+        '@insert': [ // brittle use of direct write
+          { '@id': 'test', project: { '@id': 'test/pr1', '@type': 'Project', rate: 30 } },
+          { '@id': 'test/ts1', project: { '@id': 'test/pr1' } }
+        ]
+      });
+      await gateway.timesheetDomains['ts1.test.ex.org'].write(exampleEntryJson(new Date, 1));
+      const results = await drain(await gateway.report(gateway.ownedId('test', 'ts1')));
+      expect(results.find(src => src['@id'] === 'session123/1').revenue).toBe(30);
+      expect(results.at(-1)).toEqual({ '@type': 'Total', duration: 60, revenue: 30 });
+    });
+
+    test('reports on a project with shared timesheet', async () => {
+      await gateway.timesheetConfig(gateway.ownedId('test', 'ts1'));
+      await gateway.domain.write({
+        '@insert': [ // brittle use of direct write
+          {
+            '@id': 'test', project: [
+              { '@id': 'test/pr1', '@type': 'Project' },
+              { '@id': 'test/pr2', '@type': 'Project' }
+            ]
+          },
+          { '@id': 'test/ts1', project: [{ '@id': 'test/pr1' }, { '@id': 'test/pr2' }] }
+        ]
+      });
+      await gateway.timesheetDomains['ts1.test.ex.org'].write({
+        '@graph': [
+          { ...exampleEntryJson(new Date, 1), project: { '@id': 'http://ex.org/test/pr1' } },
+          { ...exampleEntryJson(new Date, 2), project: { '@id': 'http://ex.org/test/pr2' } },
+          exampleEntryJson(new Date, 3)
+        ]
+      });
+      const report = await gateway.report(gateway.ownedId('test', 'pr1'));
+      await expect(drain(report)).resolves.toMatchObject([
+        { '@id': 'test/pr1', '@type': 'Project' },
+        { '@id': 'test/ts1', '@type': 'Timesheet' },
+        { '@id': 'session123/1', '@type': 'Entry' },
+        { '@type': 'Total', duration: 60 }
+      ]);
+    });
+
+    test('reports revenue on a project', async () => {
+      await gateway.timesheetConfig(gateway.ownedId('test', 'ts1'));
+      await gateway.domain.write({
+        '@insert': [ // brittle use of direct write
+          { '@id': 'test', project: { '@id': 'test/pr1', '@type': 'Project', rate: 30 } },
+          { '@id': 'test/ts1', project: { '@id': 'test/pr1' } }
+        ]
+      });
+      await gateway.timesheetDomains['ts1.test.ex.org'].write({
+        '@graph': [
+          exampleEntryJson(new Date, 1),
+          { ...exampleEntryJson(new Date, 2), rate: 50 },
+          { ...exampleEntryJson(new Date, 3), billable: false }
+        ]
+      });
+      const report = await gateway.report(gateway.ownedId('test', 'pr1'));
+      const results = await drain(report);
+      expect(results.find(src => src['@id'] === 'session123/1').revenue).toBe(30);
+      expect(results.find(src => src['@id'] === 'session123/2').revenue).toBe(50);
+      expect(results.find(src => src['@id'] === 'session123/3').revenue).toBeUndefined();
+      expect(results.at(-1)).toEqual({ '@type': 'Total', duration: 180, revenue: 80 });
+    });
+
     test('refuses unauthorised read', async () => {
       await gateway.domain.write({
         '@id': 'test',
@@ -561,7 +775,8 @@ describe('Gateway', () => {
               '@id': expect.stringMatching(/\w+\/1/),
               '@type': 'Entry',
               session: { '@id': expect.stringMatching(/\w+/) }
-            } // Plus a lot more
+            }, // Plus a lot more
+            { '@type': 'Total' }
           ]);
         });
 
@@ -583,6 +798,30 @@ describe('Gateway', () => {
           }]))).rejects.toThrow();
         });
 
+        test('rejects entry for unlinked project', async () => {
+          await acc.import(consume([
+            { '@id': 'test/ts1', '@type': 'Timesheet' },
+            { '@id': 'test/pr1', '@type': 'Project' }
+          ]));
+          const entry = {
+            '@type': 'Entry',
+            session: { '@id': 'test/ts1' },
+            activity: 'testing',
+            'vf:provider': { '@id': 'test' },
+            start: dateJsonLd(new Date),
+            project: { '@id': 'test/pr1' }
+          };
+          await expect(acc.import(consume([entry]))).rejects.toThrow();
+          await acc.import(consume([
+            { '@id': 'test/ts1', '@type': 'Timesheet', project: [{ '@id': 'test/pr1' }] }
+          ]));
+          await expect(acc.import(consume([entry]))).resolves.not.toThrow();
+          const tsClone = gateway.timesheetDomains['ts1.test.ex.org'];
+          await expect(tsClone.read({
+            '@describe': '?e', '@where': { '@id': '?e', '@type': 'Entry' }
+          })).resolves.toMatchObject([{ project: { '@id': 'http://ex.org/test/pr1' } }]);
+        });
+
         test('rejects orphaned entry', async () => {
           await expect(acc.import(consume([{
             '@type': 'Entry',
@@ -632,7 +871,8 @@ describe('Gateway', () => {
               '@id': expect.stringMatching(/\w+\/1/),
               '@type': 'Entry',
               activity: 'more testing'
-            } // Plus a lot more
+            }, // Plus a lot more
+            { '@type': 'Total' }
           ]);
         });
       });
@@ -10,6 +10,7 @@ import { DeadRemotes } from 'timeld-common/test/fixtures.mjs';
 import Gateway from '../lib/Gateway.mjs';
 import rest from '../rest/index.mjs';
 import request from 'supertest';
+import TogglFormat from 'timeld-toggl';
 
 describe('Gateway REST API', () => {
   let tmpDir;
@@ -72,6 +73,9 @@ describe('Gateway REST API', () => {
       expect(res.text.split('\n').map(JSON.parse)).toMatchObject([{
         '@id': 'test/pr1',
         '@type': 'Project'
+      }, {
+        '@type': 'Total',
+        duration: 0
       }]);
     });
 
@@ -126,6 +130,209 @@ describe('Gateway REST API', () => {
         '@id': expect.stringMatching(/\w+\/1/),
         '@type': 'Entry',
         session: { '@id': expect.stringMatching(/\w+/) }
+      }, {
+        '@type': 'Total'
+      }]);
+    });
+
+    test('report in mite format', async () => {
+      const app = rest({ gateway, notifier });
+      await request(app)
+        .post('/api/import')
+        .auth('test', 'app.uk:secret')
+        .send([{
+          '@id': 'test/ts1', '@type': 'Timesheet'
+        }, {
+          '@type': 'Entry',
+          session: { '@id': 'test/ts1' },
+          activity: 'testing',
+          'vf:provider': { '@id': 'test' },
+          start: dateJsonLd(new Date('2022-05-06T10:24:22.139Z')),
+          duration: 60,
+          external: { '@id': 'https://acme.mite.yo.lk/time_entries/1' }
+        }].map(JSON.stringify).join('\n'))
+        .expect(200);
+      const res = await request(app)
+        .get('/api/rpt/test/own/ts1?format=mite&mite-account=acme')
+        .auth('test', 'app.uk:secret')
+        .expect('Content-Type', 'application/json');
+      expect(JSON.parse(res.text)).toEqual([{
+        time_entry: expect.objectContaining({
+          id: 1, date_at: expect.stringMatching(/2022-05-0[67]/), minutes: 60
+        })
+      }]);
+    });
+
+    test('timesheet report in mite format includes projects', async () => {
+      const app = rest({ gateway, notifier });
+      await request(app)
+        .post('/api/import')
+        .auth('test', 'app.uk:secret')
+        .send([{
+          '@id': 'test/pr1', '@type': 'Project',
+          external: { '@id': 'https://acme.mite.yo.lk/projects/88309' }
+        }, {
+          '@id': 'test/ts1', '@type': 'Timesheet', project: [{ '@id': 'test/pr1' }]
+        }, {
+          '@type': 'Entry', session: { '@id': 'test/ts1' }, activity: 'testing',
+          'vf:provider': { '@id': 'test' }, project: { '@id': 'test/pr1' },
+          start: dateJsonLd(new Date('2022-05-06T10:24:22.139Z')), duration: 60
+        }].map(JSON.stringify).join('\n'))
+        .expect(200);
+      const res = await request(app)
+        .get('/api/rpt/test/own/ts1?format=mite&mite-account=acme')
+        .auth('test', 'app.uk:secret')
+        .expect('Content-Type', 'application/json');
+      expect(JSON.parse(res.text)).toEqual([{
+        time_entry: expect.objectContaining({ project_id: 88309 })
+      }]);
+    });
+
+    test('report in mite format uses entry time zones', async () => {
+      const app = rest({ gateway, notifier });
+      const start = dateJsonLd(new Date('2022-05-06T22:00:00Z'));
+      await request(app)
+        .post('/api/import')
+        .auth('test', 'app.uk:secret')
+        .send([{
+          '@id': 'test/ts1', '@type': 'Timesheet'
+        }, {
+          '@type': 'Entry', session: { '@id': 'test/ts1' }, activity: 'testing',
+          'vf:provider': { '@id': 'test' }, start, duration: 60, timeZone: 'Asia/Tokyo'
+        }, {
+          '@type': 'Entry', session: { '@id': 'test/ts1' }, activity: 'coding',
+          'vf:provider': { '@id': 'test' }, start, duration: 30
+        }].map(JSON.stringify).join('\n'))
+        .expect(200);
+      const res = await request(app)
+        .get('/api/rpt/test/own/ts1?format=mite&mite-account=acme&tz=America/New_York')
+        .auth('test', 'app.uk:secret')
+        .expect('Content-Type', 'application/json');
+      expect(JSON.parse(res.text).map(({ time_entry }) => time_entry)).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ date_at: '2022-05-07', minutes: 60 }),
+          expect.objectContaining({ date_at: '2022-05-06', minutes: 30 })
+        ]));
+    });
+
+    test('rounded report', async () => {
+      const app = rest({ gateway, notifier });
+      await request(app)
+        .post('/api/import')
+        .auth('test', 'app.uk:secret')
+        .send([{
+          '@id': 'test/ts1', '@type': 'Timesheet'
+        }, {
+          '@type': 'Entry',
+          session: { '@id': 'test/ts1' },
+          activity: 'testing',
+          'vf:provider': { '@id': 'test' },
+          start: dateJsonLd(new Date('2022-05-06T10:24:22.139Z')),
+          duration: 50
+        }].map(JSON.stringify).join('\n'))
+        .expect(200);
+      const res = await request(app)
+        .get('/api/rpt/test/own/ts1?round=15m%20up')
+        .auth('test', 'app.uk:secret')
+        .expect('Content-Type', 'application/x-ndjson');
+      expect(res.text.split('\n').map(JSON.parse)).toMatchObject([{
+        '@type': 'Timesheet'
+      }, {
+        '@type': 'Entry', duration: 50, roundedDuration: 60
+      }, {
+        '@type': 'Total', duration: 50, roundedDuration: 60,
+        rounding: '15m up per entry'
+      }]);
+    });
+
+    test('rounded report per day in time zone', async () => {
+      const app = rest({ gateway, notifier });
+      const entry = (start, duration) => ({
+        '@type': 'Entry',
+        session: { '@id': 'test/ts1' },
+        activity: 'testing',
+        'vf:provider': { '@id': 'test' },
+        start: dateJsonLd(new Date(start)),
+        duration
+      });
+      await request(app)
+        .post('/api/import')
+        .auth('test', 'app.uk:secret')
+        .send([
+          { '@id': 'test/ts1', '@type': 'Timesheet' },
+          // Different days in UTC, but the same evening in New York
+          entry('2022-06-01T23:00:00Z', 5),
+          entry('2022-06-02T01:00:00Z', 5)
+        ].map(JSON.stringify).join('\n'))
+        .expect(200);
+      const report = async query => (await request(app)
+        .get(`/api/rpt/test/own/ts1?${query}`)
+        .auth('test', 'app.uk:secret')).text.split('\n').map(JSON.parse).pop();
+      expect(await report('round=15m%20up%20per%20day'))
+        .toMatchObject({ duration: 10, roundedDuration: 30 });
+      expect(await report('round=15m%20up%20per%20day&tz=America/New_York'))
+        .toMatchObject({ duration: 10, roundedDuration: 15 });
+    });
+
+    test('rejects bad time zone', async () => {
+      await gateway.domain.write({
+        '@insert': { '@id': 'test', project: { '@id': 'test/pr1', '@type': 'Project' } }
+      });
+      await request(rest({ gateway, notifier }))
+        .get('/api/rpt/test/own/pr1?round=15m&tz=Mars/Olympus')
+        .auth('test', 'app.uk:secret')
+        .expect(400);
+    });
+
+    test('rejects bad rounding', async () => {
+      await gateway.domain.write({
+        '@insert': { '@id': 'test', project: { '@id': 'test/pr1', '@type': 'Project' } }
+      });
+      await request(rest({ gateway, notifier }))
+        .get('/api/rpt/test/own/pr1?round=sideways')
+        .auth('test', 'app.uk:secret')
+        .expect(400);
+    });
+
+    test('rejects mite report without account', async () => {
+      await gateway.domain.write({
+        '@insert': { '@id': 'test', project: { '@id': 'test/pr1', '@type': 'Project' } }
+      });
+      await request(rest({ gateway, notifier }))
+        .get('/api/rpt/test/own/pr1?format=mite')
+        .auth('test', 'app.uk:secret')
+        .expect(400);
+    });
+
+    test('import from Toggl', async () => {
+      const app = rest({ gateway, notifier });
+      await request(app)
+        .post('/api/import')
+        .auth('test', 'app.uk:secret')
+        .send(new TogglFormat().domainEntities([{
+          id: 1, workspace_id: 10, project_id: 100, user_id: 1000,
+          description: 'testing', billable: true,
+          start: '2022-06-06T09:00:00Z', stop: '2022-06-06T10:00:00Z',
+          project_name: 'Website', client_name: 'Acme'
+        }], { account: 'test', timesheet: 'ts1' }).map(JSON.stringify).join('\n'))
+        .expect(200);
+      await gateway.domain.write({}); // Wait for the timesheet project link
+      const res = await request(app)
+        .get('/api/rpt/test/own/acme-website')
+        .auth('test', 'app.uk:secret')
+        .expect('Content-Type', 'application/x-ndjson');
+      expect(res.text.split('\n').map(JSON.parse)).toMatchObject([{
+        '@id': 'test/acme-website', '@type': 'Project',
+        external: { '@id': 'https://api.track.toggl.com/workspaces/10/projects/100' }
+      }, {
+        '@id': 'test/ts1', '@type': 'Timesheet'
+      }, {
+        '@type': 'Entry',
+        activity: 'testing',
+        duration: 60,
+        external: { '@id': 'https://api.track.toggl.com/workspaces/10/time_entries/1' }
+      }, {
+        '@type': 'Total', duration: 60
       }]);
     });
 
@@ -1,25 +1,143 @@
+import { ExternalFormat, formatDay, fromWallClock } from 'timeld-common';
 
+/**
+ * Mite integration. An instance is also a report format (see `Format` in
+ * timeld-common), which outputs a JSON array of mite time entry payloads.
+ */
 export default class MiteFormat {
+  opening = '[';
+  closing = ']';
+  separator = ',\n';
+
   /**
    * @param account_name configured account name
+   * @param {string} [timeZone] IANA time zone of mite dates, for entries not
+   * having a time zone of their own; local if not specified
+   * @param {Map<string, string>} [projects] external identities of projects,
+   * by project IRI, for entries whose project reference does not include it
    * @see https://mite.yo.lk/en/api/
    */
-  constructor({ account_name }) {
+  constructor({ account_name, timeZone, projects = new Map }) {
     if (!account_name)
       throw new Error('Mite integration needs account_name configuration');
     // Not including the format suffix for purity
-    this.idIri = path => `https://${account_name}.mite.yo.lk/users/${path}`;
+    this.idIri = path => `https://${account_name}.mite.yo.lk/${path}`;
+    this.timeZone = timeZone;
+    this.projects = projects;
+    /**
+     * The project being reported, if any
+     * @type {object|undefined}
+     */
+    this.project = undefined;
   }
 
+  /**
+   * @param {{ time_entry: object }} json mite time entry
+   * @returns {ExternalEntry}
+   */
   import(json) {
     // noinspection JSUnresolvedVariable
+    const { project_id, project_name, customer_name } = json.time_entry;
     return {
       external: this.idIri(`time_entries/${json.time_entry.id}`),
-      activity: json.time_entry.note,
-      provider: this.idIri(`users/${json.time_entry.user_id}`),
-      start: json.time_entry.date_at,
-      duration: json.time_entry.minutes
-      // TODO: project, customer, billable, rate
+      // The service, e.g. "Writing", is the closest thing to an activity
+      activity: json.time_entry.service_name ?? ExternalFormat.UNTITLED,
+      note: json.time_entry.note,
+      // Otherwise, the importing user
+      provider: json.time_entry.user_id != null ?
+        this.idIri(`users/${json.time_entry.user_id}`) : undefined,
+      // Mite entries have only a date, taken as the start of the day
+      start: fromWallClock(new Date(json.time_entry.date_at), this.timeZone).toISOString(),
+      duration: json.time_entry.minutes,
+      billable: json.time_entry.billable,
+      // Mite rates are in cents, and zero if not set
+      rate: json.time_entry.hourly_rate ? json.time_entry.hourly_rate / 100 : undefined,
+      // The customer is the closest thing to a client
+      project: project_name != null ? {
+        '@id': ExternalFormat.projectName(project_name, customer_name),
+        external: project_id != null ? this.idIri(`projects/${project_id}`) : undefined
+      } : undefined
+    };
+  }
+
+  /**
+   * Mite identities are only included if the entity's external IRI is from
+   * this mite account. The entry's project is identified by the external
+   * identity in its project reference, if any, or of its project in the
+   * {@link projects}; otherwise of the given project.
+   *
+   * @param {object} entry timesheet Entry JSON-LD subject
+   * @param {object} [project] Project JSON-LD subject that the entry belongs to
+   * @returns {{ time_entry: object }} mite time entry payload
+   */
+  export(entry, project) {
+    const start = new Date(entry.start?.['@value'] ?? entry.start);
+    const projectExternal = entry.project?.external ??
+      this.projects.get(entry.project?.['@id']) ?? project?.external;
+    return {
+      time_entry: {
+        id: this.idIn(entry.external, 'time_entries'),
+        date_at: formatDay(start, entry.timeZone ?? this.timeZone),
+        minutes: Math.round(entry.duration ?? 0),
+        note: MiteFormat.note(entry),
+        billable: entry.billable !== false,
+        // Mite rates are in cents
+        hourly_rate: entry.rate != null ? Math.round(entry.rate * 100) : undefined,
+        user_id: this.idIn(entry['vf:provider'], 'users'),
+        project_id: this.idIn(projectExternal, 'projects')
+      }
+    };
+  }
+
+  /**
+   * Mite has no activity, except for services, so it leads the note, unless
+   * it is untitled (as imported without a service) or the same as the note.
+   *
+   * @param {object} entry timesheet Entry JSON-LD subject
+   * @returns {string} mite note
+   */
+  static note({ activity, note }) {
+    if (note == null)
+      return activity;
+    else if (activity === ExternalFormat.UNTITLED || activity === note)
+      return note;
+    else
+      return `${activity}: ${note}`;
+  }
+
+  /**
+   * Report format stringify. Entries are exported with their own project, or
+   * the most recent project in the report; running entries and other subjects
+   * are omitted.
+   *
+   * @param {object} src JSON-LD subject
+   * @returns {string|null}
+   */
+  stringify(src) {
+    switch (src['@type']) {
+      case 'Project':
+        this.project = src;
+        return null;
+      case 'Entry':
+        return src.duration != null ?
+          JSON.stringify(this.export(src, this.project)) : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * @param {object|string} [ref] external reference or IRI
+   * @param {string} collection mite collection, e.g. `users`
+   * @returns {number|undefined} the mite numeric ID
+   */
+  idIn(ref, collection) {
+    const iri = ref?.['@id'] ?? ref;
+    const prefix = this.idIri(`${collection}/`);
+    if (typeof iri == 'string' && iri.startsWith(prefix)) {
+      const id = Number(iri.slice(prefix.length));
+      if (Number.isInteger(id))
+        return id;
     }
   }
-}
\ No newline at end of file
+}
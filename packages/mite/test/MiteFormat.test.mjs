@@ -0,0 +1,121 @@
+import { describe, expect, test } from '@jest/globals';
+import MiteFormat from '..';
+import { readFileSync } from 'fs';
+
+describe('Mite format', () => {
+  const timeEntry = JSON.parse(
+    readFileSync(new URL('../example/time_entry.json', import.meta.url), 'utf8'));
+
+  test('requires account name', () => {
+    expect(() => new MiteFormat({})).toThrow();
+  });
+
+  test('imports time entry', () => {
+    expect(new MiteFormat({ account_name: 'acme', timeZone: 'Europe/Berlin' })
+      .import(timeEntry)).toEqual({
+      external: 'https://acme.mite.yo.lk/time_entries/36159117',
+      activity: 'Writing',
+      note: 'Rework description of authentication process',
+      provider: 'https://acme.mite.yo.lk/users/211',
+      start: '2015-10-15T22:00:00.000Z',
+      duration: 15,
+      billable: true,
+      rate: undefined,
+      project: {
+        '@id': 'king-inc-api-docs',
+        external: 'https://acme.mite.yo.lk/projects/88309'
+      }
+    });
+  });
+
+  test('exports entry', () => {
+    expect(new MiteFormat({ account_name: 'acme' }).export({
+      '@type': 'Entry',
+      activity: 'Writing',
+      start: { '@value': '2015-10-16T09:00:00.000Z' },
+      duration: 15.2,
+      rate: 50,
+      timeZone: 'Europe/Berlin',
+      external: { '@id': 'https://acme.mite.yo.lk/time_entries/36159117' },
+      'vf:provider': { '@id': 'https://acme.mite.yo.lk/users/211' }
+    }, { external: { '@id': 'https://acme.mite.yo.lk/projects/88309' } })).toEqual({
+      time_entry: {
+        id: 36159117,
+        date_at: '2015-10-16',
+        minutes: 15,
+        note: 'Writing',
+        billable: true,
+        hourly_rate: 5000,
+        user_id: 211,
+        project_id: 88309
+      }
+    });
+  });
+
+  test('imports time entry without project', () => {
+    const { project_id, project_name, customer_name, ...noProject } = timeEntry.time_entry;
+    expect(new MiteFormat({ account_name: 'acme' }).import({ time_entry: noProject }).project)
+      .toBeUndefined();
+  });
+
+  test('exports entry project', () => {
+    const entry = {
+      '@type': 'Entry', activity: 'Writing', start: '2022-06-06T09:00:00Z',
+      project: { '@id': 'http://ex.org/test/pr1' }
+    };
+    const format = new MiteFormat({
+      account_name: 'acme',
+      projects: new Map([['http://ex.org/test/pr1', 'https://acme.mite.yo.lk/projects/1']])
+    });
+    expect(format.export(entry).time_entry.project_id).toBe(1);
+    // The project reference can include the external identity
+    expect(format.export({
+      ...entry, project: {
+        '@id': 'http://ex.org/test/pr2',
+        external: { '@id': 'https://acme.mite.yo.lk/projects/2' }
+      }
+    }).time_entry.project_id).toBe(2);
+  });
+
+  test('exports activity with note', () => {
+    expect(new MiteFormat({ account_name: 'acme' }).export({
+      '@type': 'Entry', activity: 'Writing', note: 'API docs', start: '2022-06-06T09:00:00Z'
+    }).time_entry.note).toBe('Writing: API docs');
+  });
+
+  test('imports note without service', () => {
+    const { service_name, ...noService } = timeEntry.time_entry;
+    expect(new MiteFormat({ account_name: 'acme' }).import({ time_entry: noService }))
+      .toMatchObject({
+        activity: 'untitled',
+        note: 'Rework description of authentication process'
+      });
+  });
+
+  test('exports untitled activity or same note once', () => {
+    const format = new MiteFormat({ account_name: 'acme' });
+    const entry = { '@type': 'Entry', start: '2022-06-06T09:00:00Z' };
+    expect(format.export({ ...entry, activity: 'untitled', note: 'API docs' })
+      .time_entry.note).toBe('API docs');
+    expect(format.export({ ...entry, activity: 'API docs', note: 'API docs' })
+      .time_entry.note).toBe('API docs');
+  });
+
+  test('exports date in entry time zone', () => {
+    const format = new MiteFormat({ account_name: 'acme', timeZone: 'America/New_York' });
+    const entry = { '@type': 'Entry', activity: 'Writing', start: '2022-06-06T23:00:00Z' };
+    expect(format.export({ ...entry, timeZone: 'Asia/Tokyo' }).time_entry.date_at)
+      .toBe('2022-06-07');
+    expect(format.export(entry).time_entry.date_at).toBe('2022-06-06');
+  });
+
+  test('omits running entries and other subjects from report', () => {
+    const format = new MiteFormat({ account_name: 'acme' });
+    expect(format.stringify({ '@type': 'Project', '@id': 'test/pr1' })).toBeNull();
+    expect(format.stringify({ '@type': 'Entry', activity: 'Writing', start: '2022-06-06T09:00:00Z' }))
+      .toBeNull();
+    expect(JSON.parse(format.stringify({
+      '@type': 'Entry', activity: 'Writing', start: '2022-06-06T09:00:00Z', duration: 60
+    }))).toEqual({ time_entry: expect.objectContaining({ minutes: 60 }) });
+  });
+});
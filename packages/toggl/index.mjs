@@ -0,0 +1,39 @@
+import { ExternalFormat } from 'timeld-common';
+
+/**
+ * Toggl Track integration. Pass exported `projects` and `clients` to the
+ * constructor if time entries are exported without metadata.
+ *
+ * @see https://developers.track.toggl.com/docs/
+ */
+export default class TogglFormat extends ExternalFormat {
+  columns = {
+    startDate: 'Start date', startTime: 'Start time',
+    endDate: 'End date', endTime: 'End time'
+  };
+
+  /**
+   * @param {object} json a time entry from the Toggl API
+   * @returns {ExternalEntry}
+   */
+  importJson(json) {
+    // Not including the API version for purity
+    const idIri = path =>
+      `https://api.track.toggl.com/workspaces/${json.workspace_id}/${path}`;
+    const project = this.projects.get(json.project_id);
+    return ExternalFormat.entry({
+      external: idIri(`time_entries/${json.id}`),
+      description: json.description,
+      provider: json.user_id != null ? idIri(`users/${json.user_id}`) : undefined,
+      start: new Date(json.start),
+      // Running entries have no stop
+      end: json.stop != null ? new Date(json.stop) : undefined,
+      tag: json.tags ?? [],
+      billable: json.billable,
+      project: json.project_name ?? project?.name,
+      client: json.client_name ?? this.clients.get(project?.client_id)?.name,
+      projectExternal: json.project_id != null ?
+        idIri(`projects/${json.project_id}`) : undefined
+    });
+  }
+}
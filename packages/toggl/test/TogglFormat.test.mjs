@@ -0,0 +1,72 @@
+import { describe, expect, test } from '@jest/globals';
+import TogglFormat from '..';
+
+describe('Toggl format', () => {
+  test('imports API time entry with metadata', () => {
+    expect(new TogglFormat().import({
+      id: 1, workspace_id: 10, project_id: 100, user_id: 1000,
+      description: 'Rework description', tags: ['docs'], billable: true,
+      start: '2022-06-06T09:00:00Z', stop: '2022-06-06T09:45:00Z',
+      project_name: 'Website', client_name: 'Acme'
+    })).toEqual({
+      external: 'https://api.track.toggl.com/workspaces/10/time_entries/1',
+      activity: 'Rework description',
+      provider: 'https://api.track.toggl.com/workspaces/10/users/1000',
+      start: '2022-06-06T09:00:00.000Z',
+      duration: 45,
+      tag: ['docs'],
+      billable: true,
+      project: {
+        '@id': 'acme-website',
+        external: 'https://api.track.toggl.com/workspaces/10/projects/100'
+      }
+    });
+  });
+
+  test('imports API time entry with exported projects', () => {
+    const format = new TogglFormat({
+      projects: [{ id: 100, name: 'Website', client_id: 200 }],
+      clients: [{ id: 200, name: 'Acme' }]
+    });
+    expect(format.import({
+      id: 1, workspace_id: 10, project_id: 100,
+      start: '2022-06-06T09:00:00Z', stop: '2022-06-06T09:45:00Z'
+    })).toMatchObject({
+      activity: 'Website',
+      project: { '@id': 'acme-website' }
+    });
+  });
+
+  test('imports running API time entry', () => {
+    const entry = new TogglFormat().import({
+      id: 1, workspace_id: 10, start: '2022-06-06T09:00:00Z', stop: null
+    });
+    expect(entry).toMatchObject({ activity: 'untitled', start: '2022-06-06T09:00:00.000Z' });
+    expect(entry.duration).toBeUndefined();
+    expect(entry.project).toBeUndefined();
+  });
+
+  test('imports CSV row', () => {
+    expect(new TogglFormat({ timeZone: 'Europe/London' }).import({
+      'User': 'Alice',
+      'Client': 'Acme',
+      'Project': 'Website',
+      'Task': 'Writing',
+      'Description': '',
+      'Billable': 'No',
+      'Start date': '2022-06-06',
+      'Start time': '09:00:00',
+      'End date': '2022-06-06',
+      'End time': '10:30:00',
+      'Tags': 'docs, review'
+    })).toEqual({
+      activity: 'Website',
+      note: 'Writing',
+      start: '2022-06-06T08:00:00.000Z',
+      duration: 90,
+      tag: ['docs', 'review'],
+      billable: false,
+      project: { '@id': 'acme-website' }
+    });
+  });
+});